@@ -41,9 +41,19 @@ struct RegisterRequest: Codable {
 struct AuthResponse: Codable {
     let message: String
     let token: String
+    let refreshToken: String
     let user: User
 }
 
+struct RefreshTokenRequest: Codable {
+    let refreshToken: String
+}
+
+struct RefreshTokenResponse: Codable {
+    let token: String
+    let refreshToken: String
+}
+
 // MARK: - Team Models
 struct Team: Identifiable, Codable, Equatable {
     let id: String
@@ -171,7 +181,7 @@ struct ChannelMemberInfo: Codable, Equatable {
 struct Message: Identifiable, Codable, Equatable {
     let id: String
     let content: String
-    let senderId: String
+    let senderId: String? // nil for messages posted by integrations (incoming webhooks, slash commands)
     let channelId: String
     let teamId: String
     let messageType: MessageType
@@ -181,7 +191,7 @@ struct Message: Identifiable, Codable, Equatable {
     let createdAt: Date
     let updatedAt: Date
     let sender: User?
-    let reactions: [MessageReaction]?
+    let reactions: [ReactionSummary]?
     
     var isEdited: Bool {
         editedAt != nil
@@ -208,15 +218,15 @@ enum MessageType: String, Codable, CaseIterable {
     case file
     case image
     case system
+    case me // "/me" action messages
 }
 
-struct MessageReaction: Identifiable, Codable, Equatable {
-    let id: String
-    let userId: String
-    let messageId: String
+// Reactions come grouped by emoji, in the order each emoji was first used
+struct ReactionSummary: Codable, Equatable {
     let emoji: String
-    let createdAt: Date
-    let user: User?
+    let count: Int
+    let reactedByMe: Bool? // only set when the server knows who is asking
+    let users: [User] // the first few users who reacted
 }
 
 struct SendMessageRequest: Codable {
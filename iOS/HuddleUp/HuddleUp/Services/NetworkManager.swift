@@ -26,6 +26,30 @@ class NetworkManager: ObservableObject {
         }
     }
     
+    // Access tokens are short-lived; the refresh token gets a new pair when one expires
+    private var refreshToken: String? {
+        get {
+            UserDefaults.standard.string(forKey: "refresh_token")
+        }
+        set {
+            if let token = newValue {
+                UserDefaults.standard.set(token, forKey: "refresh_token")
+            } else {
+                UserDefaults.standard.removeObject(forKey: "refresh_token")
+            }
+        }
+    }
+    
+    // Refresh tokens are rotated and only work once, so concurrent 401s share one refresh
+    private var refreshPublisher: AnyPublisher<String, Error>?
+    
+    private let tokenRefreshedSubject = PassthroughSubject<String, Never>()
+    
+    // Sends the new access token whenever it is refreshed
+    var tokenRefreshedPublisher: AnyPublisher<String, Never> {
+        tokenRefreshedSubject.eraseToAnyPublisher()
+    }
+    
     private init() {}
     
     // MARK: - Generic Request Method
@@ -33,7 +57,8 @@ class NetworkManager: ObservableObject {
         endpoint: String,
         method: HTTPMethod = .GET,
         body: Data? = nil,
-        responseType: T.Type
+        responseType: T.Type,
+        retryOnUnauthorized: Bool = true
     ) -> AnyPublisher<T, Error> {
         let fullURL = "\(baseURL)\(endpoint)"
         logger.info("🌐 Making \(method.rawValue) request to: \(fullURL)")
@@ -87,7 +112,12 @@ class NetworkManager: ObservableObject {
                     }
                 }
             )
-            .map(\.data)
+            .tryMap { output -> Data in
+                if (output.response as? HTTPURLResponse)?.statusCode == 401 {
+                    throw NetworkError.unauthorized
+                }
+                return output.data
+            }
             .tryMap { [weak self] data in
                 self?.logger.info("🔍 Attempting to decode JSON for type: \(responseType)")
                 self?.logger.info("🔍 Raw data size: \(data.count) bytes")
@@ -120,9 +150,71 @@ class NetworkManager: ObservableObject {
                 }
             }
             .receive(on: DispatchQueue.main)
+            .catch { [weak self] error -> AnyPublisher<T, Error> in
+                // The access token expired: refresh it and send the request once more
+                guard retryOnUnauthorized,
+                      case NetworkError.unauthorized = error,
+                      let self = self,
+                      self.refreshToken != nil else {
+                    return Fail(error: error).eraseToAnyPublisher()
+                }
+                
+                return self.refreshAccessToken()
+                    .flatMap { _ in
+                        self.request(
+                            endpoint: endpoint,
+                            method: method,
+                            body: body,
+                            responseType: responseType,
+                            retryOnUnauthorized: false
+                        )
+                    }
+                    .eraseToAnyPublisher()
+            }
             .eraseToAnyPublisher()
     }
     
+    private func refreshAccessToken() -> AnyPublisher<String, Error> {
+        if let refreshPublisher = refreshPublisher {
+            return refreshPublisher
+        }
+        
+        guard let token = refreshToken,
+              let body = try? createJSONEncoder().encode(RefreshTokenRequest(refreshToken: token)) else {
+            return Fail(error: NetworkError.unauthorized).eraseToAnyPublisher()
+        }
+        
+        logger.info("🔁 Refreshing access token")
+        
+        let publisher = request(
+            endpoint: "/auth/refresh",
+            method: .POST,
+            body: body,
+            responseType: RefreshTokenResponse.self,
+            retryOnUnauthorized: false
+        )
+        .handleEvents(
+            receiveOutput: { [weak self] response in
+                self?.authToken = response.token
+                self?.refreshToken = response.refreshToken
+                self?.tokenRefreshedSubject.send(response.token)
+            },
+            receiveCompletion: { [weak self] completion in
+                // A rejected refresh token means the session is over; sign in again
+                if case .failure(NetworkError.unauthorized) = completion {
+                    self?.clearAuthToken()
+                }
+                self?.refreshPublisher = nil
+            }
+        )
+        .map(\.token)
+        .share()
+        .eraseToAnyPublisher()
+        
+        refreshPublisher = publisher
+        return publisher
+    }
+    
     private func createJSONDecoder() -> JSONDecoder {
         let decoder = JSONDecoder()
         let formatter = DateFormatter()
@@ -151,10 +243,12 @@ class NetworkManager: ObservableObject {
             endpoint: "/auth/login",
             method: .POST,
             body: body,
-            responseType: AuthResponse.self
+            responseType: AuthResponse.self,
+            retryOnUnauthorized: false
         )
         .handleEvents(receiveOutput: { [weak self] response in
             self?.authToken = response.token
+            self?.refreshToken = response.refreshToken
         })
         .eraseToAnyPublisher()
     }
@@ -182,10 +276,12 @@ class NetworkManager: ObservableObject {
             endpoint: "/auth/register",
             method: .POST,
             body: body,
-            responseType: AuthResponse.self
+            responseType: AuthResponse.self,
+            retryOnUnauthorized: false
         )
         .handleEvents(receiveOutput: { [weak self] response in
             self?.authToken = response.token
+            self?.refreshToken = response.refreshToken
         })
         .eraseToAnyPublisher()
     }
@@ -204,7 +300,7 @@ class NetworkManager: ObservableObject {
             responseType: APIResponse<String>.self
         )
         .handleEvents(receiveOutput: { [weak self] _ in
-            self?.authToken = nil
+            self?.clearAuthToken()
         })
         .eraseToAnyPublisher()
     }
@@ -394,6 +490,7 @@ class NetworkManager: ObservableObject {
     
     func clearAuthToken() {
         authToken = nil
+        refreshToken = nil
     }
     
     var hasAuthToken: Bool {
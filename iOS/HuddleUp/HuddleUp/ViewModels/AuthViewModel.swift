@@ -17,6 +17,21 @@ class AuthViewModel: ObservableObject {
     init() {
         checkAuthenticationStatus()
         setupErrorHandling()
+        setupTokenRefresh()
+    }
+    
+    // The socket only sends its token when it connects, so a dropped socket reconnects
+    // with the refreshed one
+    private func setupTokenRefresh() {
+        networkManager.tokenRefreshedPublisher
+            .receive(on: DispatchQueue.main)
+            .sink { [weak self] token in
+                guard let self = self, self.isAuthenticated, !self.socketManager.isConnected else {
+                    return
+                }
+                self.socketManager.connect(token: token)
+            }
+            .store(in: &cancellables)
     }
     
     private func setupErrorHandling() {
@@ -329,9 +329,9 @@ struct MessageRowView: View {
         message.senderId == currentUserId
     }
     
-    private func reactionView(_ reactions: [MessageReaction]) -> some View {
+    private func reactionView(_ reactions: [ReactionSummary]) -> some View {
         HStack {
-            ForEach(groupedReactions(reactions), id: \.emoji) { group in
+            ForEach(reactions, id: \.emoji) { group in
                 Button(action: {
                     onReaction(message, group.emoji)
                 }) {
@@ -347,7 +347,7 @@ struct MessageRowView: View {
                     .padding(.vertical, 2)
                     .background(
                         RoundedRectangle(cornerRadius: 12)
-                            .fill(group.userReacted ? Color.blue.opacity(0.2) : Color(.systemGray6))
+                            .fill(userReacted(group) ? Color.blue.opacity(0.2) : Color(.systemGray6))
                     )
                 }
                 .buttonStyle(PlainButtonStyle())
@@ -355,24 +355,11 @@ struct MessageRowView: View {
         }
     }
     
-    private func groupedReactions(_ reactions: [MessageReaction]) -> [ReactionGroup] {
-        let grouped = Dictionary(grouping: reactions, by: { $0.emoji })
-        return grouped.map { emoji, reactions in
-            ReactionGroup(
-                emoji: emoji,
-                count: reactions.count,
-                userReacted: reactions.contains { $0.userId == currentUserId }
-            )
-        }
+    private func userReacted(_ reaction: ReactionSummary) -> Bool {
+        reaction.reactedByMe ?? reaction.users.contains { $0.id == currentUserId }
     }
 }
 
-struct ReactionGroup {
-    let emoji: String
-    let count: Int
-    let userReacted: Bool
-}
-
 struct EditMessageView: View {
     @Environment(\.dismiss) private var dismiss
     let originalText: String
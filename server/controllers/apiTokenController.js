@@ -0,0 +1,85 @@
+const { ApiToken, ChannelMember } = require('../models');
+const { Op } = require('sequelize');
+const { parseTokenOptions, createApiToken, revokeApiToken } = require('../services/apiTokenService');
+
+// The plain token is only shown when it is created
+const withToken = (apiToken, token) => ({
+  ...apiToken.toJSON(),
+  token
+});
+
+const createPersonalToken = async (req, res) => {
+  try {
+    const { options, error } = parseTokenOptions(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // A personal token can only be limited to channels its owner belongs to
+    if (options.channelIds) {
+      const memberships = await ChannelMember.count({
+        where: {
+          userId: req.user.id,
+          channelId: { [Op.in]: options.channelIds }
+        }
+      });
+
+      if (memberships !== options.channelIds.length) {
+        return res.status(400).json({ error: 'You can only limit a token to channels you belong to' });
+      }
+    }
+
+    const { apiToken, token } = await createApiToken(req.user.id, req.user.id, options);
+
+    res.status(201).json({
+      message: 'API token created successfully',
+      apiToken: withToken(apiToken, token)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getPersonalTokens = async (req, res) => {
+  try {
+    const apiTokens = await ApiToken.findAll({
+      where: {
+        userId: req.user.id,
+        revokedAt: null
+      },
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json(apiTokens);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const revokePersonalToken = async (req, res) => {
+  try {
+    const apiToken = await ApiToken.findOne({
+      where: {
+        id: req.params.tokenId,
+        userId: req.user.id
+      }
+    });
+
+    if (!apiToken) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    await revokeApiToken(apiToken, req.app.get('io'));
+
+    res.json({ message: 'API token revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  withToken,
+  createPersonalToken,
+  getPersonalTokens,
+  revokePersonalToken
+};
@@ -0,0 +1,171 @@
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { Attachment, Message, ChannelMember } = require('../models');
+const storage = require('../storage');
+const { streamFile } = require('../storage/streamFile');
+const messageService = require('../services/messageService');
+const { MessageServiceError } = messageService;
+
+const THUMBNAIL_SIZE = 360;
+
+const uploadAttachment = async (req, res) => {
+  const storedKeys = [];
+  let attachmentId = null;
+
+  try {
+    const { channelId } = req.params;
+    const { content, parentMessageId } = req.body;
+    const userId = req.user.id;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    // Check membership before touching storage; the message service re-checks on send
+    const channelMember = await ChannelMember.findOne({
+      where: {
+        userId: userId,
+        channelId: channelId
+      }
+    });
+
+    if (!channelMember) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const file = req.file;
+    attachmentId = uuidv4();
+    const isImage = file.mimetype.startsWith('image/');
+    const storageKey = `${channelId}/${attachmentId}${path.extname(file.originalname).toLowerCase()}`;
+
+    let thumbnailKey = null;
+    let width = null;
+    let height = null;
+
+    // Generate a thumbnail for images
+    if (isImage) {
+      let thumbnail;
+      try {
+        const metadata = await sharp(file.buffer).metadata();
+        width = metadata.width;
+        height = metadata.height;
+
+        thumbnail = await sharp(file.buffer)
+          .rotate()
+          .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+          .jpeg({ quality: 80 })
+          .toBuffer();
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid image file' });
+      }
+
+      thumbnailKey = `${channelId}/${attachmentId}_thumb.jpg`;
+      await storage.save(thumbnailKey, thumbnail);
+      storedKeys.push(thumbnailKey);
+    }
+
+    await storage.save(storageKey, file.buffer);
+    storedKeys.push(storageKey);
+
+    // Attachment messages go through the same send path as text messages
+    const populatedMessage = await messageService.sendMessage(userId, {
+      content: content || file.originalname,
+      channelId,
+      parentMessageId,
+      attachment: {
+        id: attachmentId,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        storageKey,
+        thumbnailKey,
+        width,
+        height
+      }
+    }, req.app.get('io'));
+
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      data: populatedMessage
+    });
+  } catch (error) {
+    // Don't leave orphaned files behind. Once the attachment row is stored, a later
+    // failure (such as broadcasting) leaves a message that still needs its files.
+    const attachmentStored = attachmentId && await Attachment.count({ where: { id: attachmentId } })
+      .catch(() => true);
+    if (!attachmentStored) {
+      await Promise.all(storedKeys.map(key => storage.remove(key).catch(() => {})));
+    }
+    res.status(error instanceof MessageServiceError ? error.status : 500).json({ error: error.message });
+  }
+};
+
+// Look up an attachment the user is allowed to see
+const findAccessibleAttachment = async (attachmentId, userId) => {
+  const attachment = await Attachment.findByPk(attachmentId, {
+    include: [{
+      model: Message,
+      as: 'message',
+      attributes: ['id']
+    }]
+  });
+
+  // Attachments of deleted messages are no longer served
+  if (!attachment || !attachment.message) {
+    return null;
+  }
+
+  const channelMember = await ChannelMember.findOne({
+    where: {
+      userId: userId,
+      channelId: attachment.channelId
+    }
+  });
+
+  return channelMember ? attachment : null;
+};
+
+const downloadAttachment = async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+
+    const attachment = await findAccessibleAttachment(attachmentId, req.user.id);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await streamFile(res, attachment.storageKey, {
+      contentType: attachment.mimeType,
+      fileName: attachment.fileName,
+      inline: attachment.mimeType.startsWith('image/')
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const downloadThumbnail = async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+
+    const attachment = await findAccessibleAttachment(attachmentId, req.user.id);
+    if (!attachment || !attachment.thumbnailKey) {
+      return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+
+    await streamFile(res, attachment.thumbnailKey, {
+      contentType: 'image/jpeg',
+      fileName: `thumb_${path.parse(attachment.fileName).name}.jpg`,
+      inline: true
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  uploadAttachment,
+  downloadAttachment,
+  downloadThumbnail
+};
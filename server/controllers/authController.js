@@ -1,11 +1,6 @@
-const { User, Team } = require('../models');
-const jwt = require('jsonwebtoken');
-
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || 'fallback-secret', {
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
-  });
-};
+const { User, Team, Session } = require('../models');
+const { Op } = require('sequelize');
+const { getDeviceInfo, createSession, refreshSession, revokeSession } = require('../services/sessionService');
 
 const register = async (req, res) => {
   try {
@@ -36,12 +31,13 @@ const register = async (req, res) => {
       lastName
     });
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Start a session and issue tokens
+    const { token, refreshToken } = await createSession(user, getDeviceInfo(req));
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user.id,
         email: user.email,
@@ -60,8 +56,9 @@ const login = async (req, res) => {
     const { email, password } = req.body;
 
     // Find user by email
+    // Bots have no password and can only use API tokens
     const user = await User.findOne({ where: { email } });
-    if (!user) {
+    if (!user || user.isBot) {
       return res.status(400).json({ error: 'Invalid credentials' });
     }
 
@@ -74,12 +71,13 @@ const login = async (req, res) => {
     // Update online status
     await user.update({ isOnline: true });
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Start a session and issue tokens
+    const { token, refreshToken } = await createSession(user, getDeviceInfo(req));
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user.id,
         email: user.email,
@@ -131,8 +129,33 @@ const updateProfile = async (req, res) => {
   }
 };
 
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const tokens = await refreshSession(refreshToken, req.app.get('io'), req.ip);
+    if (!tokens) {
+      return res.status(401).json({ error: 'Refresh token is not valid' });
+    }
+
+    res.json({
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 const logout = async (req, res) => {
   try {
+    // Revoke the session so its tokens stop working immediately
+    await revokeSession(req.session, req.app.get('io'));
+
     await User.update(
       { 
         isOnline: false,
@@ -146,10 +169,77 @@ const logout = async (req, res) => {
   }
 };
 
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findAll({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['lastActiveAt', 'DESC']]
+    });
+
+    res.json(sessions.map(session => ({
+      ...session.toJSON(),
+      current: session.id === req.session.id
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const revokeSessionById = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await Session.findOne({
+      where: {
+        id: sessionId,
+        userId: req.user.id
+      }
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session, req.app.get('io'));
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findAll({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        id: { [Op.ne]: req.session.id }
+      }
+    });
+
+    for (const session of sessions) {
+      await revokeSession(session, req.app.get('io'));
+    }
+
+    res.json({ message: 'Other sessions revoked successfully', revokedCount: sessions.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 module.exports = {
   register,
   login,
   getMe,
   updateProfile,
-  logout
+  refresh,
+  logout,
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions
 }; 
\ No newline at end of file
@@ -0,0 +1,267 @@
+const { User, Team, Channel, TeamMember, ChannelMember, ApiToken, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { parseTokenOptions, createApiToken, revokeApiToken } = require('../services/apiTokenService');
+const { withToken } = require('./apiTokenController');
+
+const BOT_ATTRIBUTES = ['id', 'username', 'firstName', 'lastName', 'avatar', 'isBot', 'botCreatedById', 'createdAt'];
+
+// Bots of the team that have not been removed from it
+const findTeamBot = (teamId, botId) => {
+  return User.findOne({
+    where: {
+      id: botId,
+      isBot: true,
+      botTeamId: teamId
+    },
+    attributes: BOT_ATTRIBUTES,
+    include: [{
+      model: Team,
+      as: 'teams',
+      where: { id: teamId },
+      attributes: [],
+      through: { attributes: [] }
+    }]
+  });
+};
+
+const createBot = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const { username, name, avatar } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const existingUser = username && await User.findOne({
+      where: { username },
+      paranoid: false
+    });
+    if (existingUser) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+
+    const bot = await sequelize.transaction(async (transaction) => {
+      const bot = await User.create({
+        username,
+        firstName: String(name).trim(),
+        lastName: '',
+        avatar: avatar || '',
+        isBot: true,
+        botTeamId: teamId,
+        botCreatedById: req.user.id
+      }, { transaction });
+
+      // Bots are regular members; they only see channels they are added to
+      await TeamMember.create({
+        userId: bot.id,
+        teamId: teamId,
+        role: 'member'
+      }, { transaction });
+
+      return bot;
+    });
+
+    res.status(201).json({
+      message: 'Bot created successfully',
+      bot: await User.findByPk(bot.id, { attributes: BOT_ATTRIBUTES })
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getBots = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+
+    const bots = await User.findAll({
+      where: {
+        isBot: true,
+        botTeamId: teamId
+      },
+      attributes: BOT_ATTRIBUTES,
+      include: [
+        {
+          model: Team,
+          as: 'teams',
+          where: { id: teamId },
+          attributes: [],
+          through: { attributes: [] }
+        },
+        {
+          model: User,
+          as: 'botCreatedBy',
+          attributes: ['id', 'firstName', 'lastName', 'username']
+        }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json(bots);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Remove a bot from its team and revoke its tokens. The account is kept so its
+// messages still show who sent them.
+const deleteBot = async (req, res) => {
+  try {
+    const { teamId, botId } = req.params;
+    const io = req.app.get('io');
+
+    const bot = await findTeamBot(teamId, botId);
+    if (!bot) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    const apiTokens = await ApiToken.findAll({
+      where: {
+        userId: bot.id,
+        revokedAt: null
+      }
+    });
+
+    for (const apiToken of apiTokens) {
+      await revokeApiToken(apiToken, io);
+    }
+
+    const teamChannels = await Channel.findAll({
+      where: { teamId: teamId },
+      attributes: ['id']
+    });
+
+    await sequelize.transaction(async (transaction) => {
+      await TeamMember.destroy({
+        where: {
+          userId: bot.id,
+          teamId: teamId
+        },
+        force: true,
+        transaction
+      });
+
+      await ChannelMember.destroy({
+        where: {
+          userId: bot.id,
+          channelId: { [Op.in]: teamChannels.map(channel => channel.id) }
+        },
+        transaction
+      });
+    });
+
+    io.to(`team-${teamId}`).emit('member-removed', { teamId, userId: bot.id });
+
+    res.json({ message: 'Bot deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const createBotToken = async (req, res) => {
+  try {
+    const { teamId, botId } = req.params;
+
+    const bot = await findTeamBot(teamId, botId);
+    if (!bot) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    const { options, error } = parseTokenOptions(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Bot tokens can be limited to any of the team's channels
+    if (options.channelIds) {
+      const channelCount = await Channel.count({
+        where: {
+          id: { [Op.in]: options.channelIds },
+          teamId: teamId
+        }
+      });
+
+      if (channelCount !== options.channelIds.length) {
+        return res.status(400).json({ error: 'Tokens can only be limited to channels in this team' });
+      }
+    }
+
+    const { apiToken, token } = await createApiToken(bot.id, req.user.id, options);
+
+    res.status(201).json({
+      message: 'API token created successfully',
+      apiToken: withToken(apiToken, token)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getBotTokens = async (req, res) => {
+  try {
+    const { teamId, botId } = req.params;
+
+    const bot = await findTeamBot(teamId, botId);
+    if (!bot) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    const apiTokens = await ApiToken.findAll({
+      where: {
+        userId: bot.id,
+        revokedAt: null
+      },
+      include: [{
+        model: User,
+        as: 'createdBy',
+        attributes: ['id', 'firstName', 'lastName', 'username']
+      }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json(apiTokens);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const revokeBotToken = async (req, res) => {
+  try {
+    const { teamId, botId, tokenId } = req.params;
+
+    const bot = await findTeamBot(teamId, botId);
+    if (!bot) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    const apiToken = await ApiToken.findOne({
+      where: {
+        id: tokenId,
+        userId: bot.id
+      }
+    });
+
+    if (!apiToken) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    await revokeApiToken(apiToken, req.app.get('io'));
+
+    res.json({ message: 'API token revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createBot,
+  getBots,
+  deleteBot,
+  createBotToken,
+  getBotTokens,
+  revokeBotToken
+};
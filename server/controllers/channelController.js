@@ -1,31 +1,20 @@
-const { Channel, Team, Message, User, TeamMember, ChannelMember } = require('../models');
+const { Channel, Message, User, TeamMember, ChannelMember, Attachment } = require('../models');
 const { Op } = require('sequelize');
+const { getUnreadCounts, markChannelRead } = require('../services/readStateService');
+const { PERMISSIONS, hasPermission, canManageChannel } = require('../policies/permissions');
+const { postSystemMessage } = require('../services/systemMessageService');
+const { attachReactions } = require('../services/reactionService');
+const { WEBHOOK_EVENTS, dispatchEvent } = require('../services/webhookService');
+const channelMemberService = require('../services/channelMemberService');
+const { MessageServiceError } = require('../services/messageService');
+const { tokenChannelWhere, canReadListedMessages } = require('../services/apiTokenService');
 
 const createChannel = async (req, res) => {
   try {
     const { name, description, teamId, isPrivate } = req.body;
     const userId = req.user.id;
 
-    // Check if user is admin of the team
-    const team = await Team.findByPk(teamId);
-    if (!team) {
-      return res.status(404).json({ error: 'Team not found' });
-    }
-
-    // Check if user is owner or admin
-    if (team.ownerId !== userId) {
-      const teamMember = await TeamMember.findOne({
-        where: {
-          userId: userId,
-          teamId: teamId,
-          role: 'admin'
-        }
-      });
-
-      if (!teamMember) {
-        return res.status(403).json({ error: 'Permission denied' });
-      }
-    }
+    // Permission to create channels is checked by the requirePermission middleware
 
     // Create channel
     const channel = await Channel.create({
@@ -36,16 +25,26 @@ const createChannel = async (req, res) => {
       isPrivate: isPrivate || false
     });
 
-    // Add creator to channel
+    // Add creator to channel as its admin
     await ChannelMember.create({
       userId: userId,
-      channelId: channel.id
+      channelId: channel.id,
+      role: 'admin'
     });
 
-    // If public channel, add all team members
+    // If public channel, add all team members (guests and bots are only added explicitly)
     if (!isPrivate) {
       const teamMembers = await TeamMember.findAll({
-        where: { teamId: teamId }
+        where: {
+          teamId: teamId,
+          role: { [Op.ne]: 'guest' }
+        },
+        include: [{
+          model: User,
+          as: 'user',
+          attributes: [],
+          where: { isBot: false }
+        }]
       });
       
       const channelMembers = teamMembers.map(member => ({
@@ -63,7 +62,7 @@ const createChannel = async (req, res) => {
         {
           model: User,
           as: 'members',
-          attributes: ['id', 'firstName', 'lastName', 'username', 'email'],
+          attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isBot'],
           through: { attributes: ['joinedAt'] }
         },
         {
@@ -74,6 +73,18 @@ const createChannel = async (req, res) => {
       ]
     });
 
+    // Private channels stay invisible to integrations
+    if (!channel.isPrivate) {
+      dispatchEvent(channel.teamId, WEBHOOK_EVENTS.CHANNEL_CREATED, {
+        channel: {
+          id: channel.id,
+          name: channel.name,
+          description: channel.description
+        },
+        createdBy: populatedChannel.createdBy
+      });
+    }
+
     res.status(201).json({
       message: 'Channel created successfully',
       channel: populatedChannel
@@ -86,6 +97,7 @@ const createChannel = async (req, res) => {
 const getChannels = async (req, res) => {
   try {
     const { teamId } = req.params;
+    const { includeArchived } = req.query;
     const userId = req.user.id;
 
     // Check if user is member of the team
@@ -103,16 +115,19 @@ const getChannels = async (req, res) => {
     const channels = await Channel.findAll({
       where: {
         teamId: teamId,
-        [Op.or]: [
-          { isPrivate: false },
-          { '$members.id$': userId }
-        ]
+        type: 'channel',
+        // Archived channels are hidden unless explicitly requested
+        ...(includeArchived === 'true' ? {} : { archivedAt: null }),
+        // Private channels are only listed for their members
+        ...Channel.visibleTo(userId),
+        // Channel-limited API tokens only see their channels
+        ...tokenChannelWhere(req.apiToken)
       },
       include: [
         {
           model: User,
           as: 'members',
-          attributes: ['id', 'firstName', 'lastName', 'username', 'email'],
+          attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isBot'],
           through: { attributes: ['joinedAt'] },
           required: false
         },
@@ -122,14 +137,26 @@ const getChannels = async (req, res) => {
           include: [{
             model: User,
             as: 'sender',
-            attributes: ['id', 'firstName', 'lastName', 'username']
+            attributes: ['id', 'firstName', 'lastName', 'username', 'isBot']
           }]
         }
       ],
       order: [['createdAt', 'ASC']]
     });
 
-    res.json(channels);
+    const unreadCounts = await getUnreadCounts(userId, channels.map(channel => channel.id));
+
+    const showLastMessage = canReadListedMessages(req.apiToken);
+
+    res.json(channels.map(channel => ({
+      ...channel.toJSON(),
+      ...(!showLastMessage && { lastMessage: null }),
+      lastReadMessageId: null,
+      muted: false,
+      unreadCount: 0,
+      mentionCount: 0,
+      ...unreadCounts.get(channel.id)
+    })));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -156,8 +183,8 @@ const getChannel = async (req, res) => {
         {
           model: User,
           as: 'members',
-          attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isOnline'],
-          through: { attributes: ['joinedAt'] }
+          attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isOnline', 'isBot'],
+          through: { attributes: ['role', 'joinedAt'] }
         },
         {
           model: User,
@@ -183,15 +210,22 @@ const joinChannel = async (req, res) => {
       return res.status(404).json({ error: 'Channel not found' });
     }
 
-    // Check if user is member of the team
-    const teamMember = await TeamMember.findOne({
-      where: {
-        userId: userId,
-        teamId: channel.teamId
-      }
-    });
+    // Direct messages can only be opened through /api/dms
+    if (channel.type !== 'channel') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
-    if (!teamMember) {
+    // Private channels are invitation-only
+    if (channel.isPrivate) {
+      return res.status(403).json({ error: 'This channel is private' });
+    }
+
+    if (channel.archivedAt) {
+      return res.status(400).json({ error: 'Channel is archived' });
+    }
+
+    // Team members can join channels; guests only see channels they are added to
+    if (!(await hasPermission(userId, channel.teamId, PERMISSIONS.JOIN_CHANNELS))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -207,11 +241,8 @@ const joinChannel = async (req, res) => {
       return res.status(400).json({ error: 'Already a member of this channel' });
     }
 
-    // Add user to channel
-    await ChannelMember.create({
-      userId: userId,
-      channelId: channelId
-    });
+    // Add user to channel, restoring the membership if they left before
+    await ChannelMember.addMember(userId, channelId);
 
     res.json({ message: 'Joined channel successfully' });
   } catch (error) {
@@ -230,26 +261,280 @@ const leaveChannel = async (req, res) => {
     }
 
     // Remove user from channel
-    await ChannelMember.destroy({
+    await channelMemberService.leaveChannel(userId, channel, req.app.get('io'));
+
+    res.json({ message: 'Left channel successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const DEFAULT_MESSAGE_LIMIT = 50;
+const MAX_MESSAGE_LIMIT = 100;
+
+// Load up to `limit` top-level messages on one side of a cursor, oldest first.
+// Ordering is by (createdAt, id) so messages sharing a timestamp never get skipped.
+// `offset` skips the newest messages for page-numbered requests without a cursor.
+const fetchMessagePage = async (channelId, cursor, direction, limit, offset = 0) => {
+  const where = {
+    channelId: channelId,
+    parentMessageId: null
+  };
+
+  if (cursor) {
+    const op = direction === 'before' ? Op.lt : Op.gt;
+    where[Op.or] = [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, id: { [op]: cursor.id } }
+    ];
+  }
+
+  const sortDirection = direction === 'before' ? 'DESC' : 'ASC';
+
+  // Fetch one extra row to know whether there is more beyond this page
+  const messages = await Message.findAll({
+    where,
+    include: [
+      {
+        model: User,
+        as: 'sender',
+        attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isBot']
+      },
+      {
+        model: Attachment,
+        as: 'attachments'
+      }
+    ],
+    order: [['createdAt', sortDirection], ['id', sortDirection]],
+    limit: limit + 1,
+    offset
+  });
+
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+
+  return {
+    messages: direction === 'before' ? page.reverse() : page,
+    hasMore
+  };
+};
+
+const getChannelMessages = async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const userId = req.user.id;
+    const { before, after, around } = req.query;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || DEFAULT_MESSAGE_LIMIT, 1),
+      MAX_MESSAGE_LIMIT
+    );
+
+    if ([before, after, around].filter(Boolean).length > 1) {
+      return res.status(400).json({ error: 'Use only one of before, after or around' });
+    }
+
+    // Check if user is member of the channel
+    const channelMember = await ChannelMember.findOne({
       where: {
         userId: userId,
         channelId: channelId
       }
     });
 
-    res.json({ message: 'Left channel successfully' });
+    if (!channelMember) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const cursorId = before || after || around;
+    let cursor = null;
+
+    if (cursorId) {
+      // Deleted messages still work as cursors so scrolling survives deletions
+      cursor = await Message.findOne({
+        where: {
+          id: cursorId,
+          channelId: channelId
+        },
+        paranoid: false
+      });
+
+      if (!cursor) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+
+      // Jumping to a thread reply centers on its parent in the main timeline
+      if (cursor.parentMessageId) {
+        cursor = await Message.findByPk(cursor.parentMessageId, { paranoid: false });
+      }
+    }
+
+    // Without a cursor, keep answering with a plain array paged by `page`, which
+    // clients written before cursors existed still expect
+    if (!cursor) {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const { messages } = await fetchMessagePage(channelId, null, 'before', limit, (page - 1) * limit);
+      await attachReactions(messages, userId);
+
+      return res.json(messages);
+    }
+
+    // Thread replies are fetched separately via /api/messages/:messageId/replies
+    if (around) {
+      const beforeLimit = Math.floor((limit - 1) / 2);
+      const afterLimit = limit - 1 - beforeLimit;
+
+      const [older, newer, anchor] = await Promise.all([
+        fetchMessagePage(channelId, cursor, 'before', beforeLimit),
+        fetchMessagePage(channelId, cursor, 'after', afterLimit),
+        Message.findByPk(cursor.id, {
+          include: [
+            {
+              model: User,
+              as: 'sender',
+              attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isBot']
+            },
+            {
+              model: Attachment,
+              as: 'attachments'
+            }
+          ]
+        })
+      ]);
+
+      const messages = [...older.messages, ...(anchor ? [anchor] : []), ...newer.messages];
+      await attachReactions(messages, userId);
+
+      return res.json({
+        messages,
+        anchorMessageId: cursor.id,
+        hasMoreBefore: older.hasMore,
+        hasMoreAfter: newer.hasMore
+      });
+    }
+
+    if (after) {
+      const page = await fetchMessagePage(channelId, cursor, 'after', limit);
+      await attachReactions(page.messages, userId);
+
+      return res.json({
+        messages: page.messages,
+        hasMoreBefore: true,
+        hasMoreAfter: page.hasMore
+      });
+    }
+
+    // Older history when scrolling back with `before`
+    const page = await fetchMessagePage(channelId, cursor, 'before', limit);
+    await attachReactions(page.messages, userId);
+
+    res.json({
+      messages: page.messages,
+      hasMoreBefore: page.hasMore,
+      hasMoreAfter: true
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
-const getChannelMessages = async (req, res) => {
+const addChannelMembers = async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { userIds = [] } = req.body;
+    const userId = req.user.id;
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({ error: 'userIds must be a non-empty array' });
+    }
+
+    const channel = await Channel.findByPk(channelId);
+    const channelMember = channel && await ChannelMember.findOne({
+      where: {
+        userId: userId,
+        channelId: channelId
+      }
+    });
+
+    // Only members of a channel can add people to it
+    if (!channel || channel.type !== 'channel' || !channelMember) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+
+    if (channel.archivedAt) {
+      return res.status(400).json({ error: 'Channel is archived' });
+    }
+
+    const addedUsers = await channelMemberService.addChannelMembers(req.user, channel, userIds, req.app.get('io'));
+
+    res.json({ message: 'Members added successfully', users: addedUsers });
+  } catch (error) {
+    res.status(error instanceof MessageServiceError ? error.status : 500).json({ error: error.message });
+  }
+};
+
+const removeChannelMember = async (req, res) => {
+  try {
+    const { channelId, userId: targetUserId } = req.params;
+    const userId = req.user.id;
+
+    const channel = await Channel.findByPk(channelId);
+    const channelMember = channel && await ChannelMember.findOne({
+      where: {
+        userId: userId,
+        channelId: channelId
+      }
+    });
+
+    if (!channel || channel.type !== 'channel' || !channelMember) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+
+    // Channel admins and team admins can remove people; anyone else uses /leave
+    if (channelMember.role !== 'admin' &&
+        !(await hasPermission(userId, channel.teamId, PERMISSIONS.MANAGE_CHANNELS))) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    if (targetUserId === userId) {
+      return res.status(400).json({ error: 'Use leave to remove yourself from a channel' });
+    }
+
+    const targetMember = await ChannelMember.findOne({
+      where: {
+        userId: targetUserId,
+        channelId: channelId
+      },
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'username']
+      }]
+    });
+
+    if (!targetMember) {
+      return res.status(404).json({ error: 'User is not a member of this channel' });
+    }
+
+    await targetMember.destroy();
+
+    const io = req.app.get('io');
+    await postSystemMessage(channel, userId, `${req.user.username} removed ${targetMember.user.username} from the channel`, io);
+
+    io.to(`channel-${channel.id}`).emit('channel-member-removed', { channelId: channel.id, userId: targetUserId });
+    io.to(`user-${targetUserId}`).emit('removed-from-channel', { channelId: channel.id, teamId: channel.teamId });
+    io.in(`user-${targetUserId}`).socketsLeave(`channel-${channel.id}`);
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getChannelPins = async (req, res) => {
   try {
     const { channelId } = req.params;
     const userId = req.user.id;
-    const { page = 1, limit = 50 } = req.query;
 
-    // Check if user is member of the channel
     const channelMember = await ChannelMember.findOne({
       where: {
         userId: userId,
@@ -261,21 +546,220 @@ const getChannelMessages = async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    const messages = await Message.findAll({
-      where: { channelId: channelId },
+    // Most recently pinned first
+    const pins = await Message.findAll({
+      where: {
+        channelId: channelId,
+        pinnedAt: { [Op.ne]: null }
+      },
       include: [
         {
           model: User,
           as: 'sender',
-          attributes: ['id', 'firstName', 'lastName', 'username', 'email']
+          attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isBot']
+        },
+        {
+          model: User,
+          as: 'pinnedBy',
+          attributes: ['id', 'firstName', 'lastName', 'username']
+        },
+        {
+          model: Attachment,
+          as: 'attachments'
         }
       ],
-      order: [['createdAt', 'DESC']],
-      limit: parseInt(limit),
-      offset: (parseInt(page) - 1) * parseInt(limit)
+      order: [['pinnedAt', 'DESC']]
+    });
+
+    await attachReactions(pins, userId);
+
+    res.json(pins);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const markAsRead = async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { messageId } = req.body;
+
+    const readState = await markChannelRead(req.user.id, channelId, messageId, req.app.get('io'));
+    if (!readState) {
+      return res.status(404).json({ error: 'Channel or message not found' });
+    }
+
+    res.json(readState);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Tell channel members, and the team for public channels, that settings changed
+const broadcastChannelUpdate = (io, event, channel) => {
+  io.to(`channel-${channel.id}`).emit(event, channel);
+  if (!channel.isPrivate) {
+    io.to(`team-${channel.teamId}`).emit(event, channel);
+  }
+};
+
+const updateChannel = async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { name, topic, description } = req.body;
+    const userId = req.user.id;
+
+    const channel = await Channel.findByPk(channelId);
+    const channelMember = channel && await ChannelMember.findOne({
+      where: {
+        userId: userId,
+        channelId: channelId
+      }
+    });
+
+    if (!channel || channel.type !== 'channel' || !channelMember) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+
+    if (channel.archivedAt) {
+      return res.status(400).json({ error: 'Channel is archived' });
+    }
+
+    const changes = [];
+
+    // Renaming needs manage rights; any member can set the topic and description
+    if (name !== undefined) {
+      if (!(await canManageChannel(userId, channel))) {
+        return res.status(403).json({ error: 'Permission denied' });
+      }
+
+      const trimmedName = String(name).trim().replace(/^#/, '');
+      if (!trimmedName) {
+        return res.status(400).json({ error: 'Channel name is required' });
+      }
+
+      const newName = '#' + trimmedName;
+      if (newName !== channel.name) {
+        const existingChannel = await Channel.findOne({
+          where: {
+            teamId: channel.teamId,
+            type: 'channel',
+            id: { [Op.ne]: channel.id },
+            name: { [Op.iLike]: newName }
+          }
+        });
+
+        if (existingChannel) {
+          return res.status(409).json({ error: 'A channel with this name already exists' });
+        }
+
+        changes.push(`renamed the channel from ${channel.name} to ${newName}`);
+        channel.name = newName;
+      }
+    }
+
+    if (topic !== undefined && topic !== channel.topic) {
+      channel.topic = topic;
+      changes.push(topic ? `set the channel topic: ${topic}` : 'cleared the channel topic');
+    }
+
+    if (description !== undefined && description !== channel.description) {
+      channel.description = description;
+      changes.push(description ? `set the channel description: ${description}` : 'cleared the channel description');
+    }
+
+    if (changes.length === 0) {
+      return res.json({ message: 'Channel updated successfully', channel });
+    }
+
+    await channel.save();
+
+    const io = req.app.get('io');
+    for (const change of changes) {
+      await postSystemMessage(channel, userId, `${req.user.username} ${change}`, io);
+    }
+    broadcastChannelUpdate(io, 'channel-updated', channel);
+
+    res.json({ message: 'Channel updated successfully', channel });
+  } catch (error) {
+    // Names, topics and descriptions that are too long fail the model's length checks
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const setChannelArchived = (archived) => async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const userId = req.user.id;
+
+    const channel = await Channel.findByPk(channelId);
+    if (!channel || channel.type !== 'channel') {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+
+    if (!(await canManageChannel(userId, channel))) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    if (Boolean(channel.archivedAt) === archived) {
+      return res.status(400).json({ error: archived ? 'Channel is already archived' : 'Channel is not archived' });
+    }
+
+    const io = req.app.get('io');
+
+    await channel.update(archived
+      ? { archivedAt: new Date(), archivedById: userId }
+      : { archivedAt: null, archivedById: null });
+
+    await postSystemMessage(
+      channel,
+      userId,
+      `${req.user.username} ${archived ? 'archived' : 'unarchived'} the channel`,
+      io
+    );
+
+    broadcastChannelUpdate(io, archived ? 'channel-archived' : 'channel-unarchived', channel);
+
+    res.json({
+      message: archived ? 'Channel archived successfully' : 'Channel unarchived successfully',
+      channel
     });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const archiveChannel = setChannelArchived(true);
+const unarchiveChannel = setChannelArchived(false);
+
+const deleteChannel = async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const userId = req.user.id;
+
+    const channel = await Channel.findByPk(channelId);
+    if (!channel || channel.type !== 'channel') {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+
+    if (!(await canManageChannel(userId, channel))) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const io = req.app.get('io');
+
+    // The deletion notice is the last message members will see in the channel
+    await postSystemMessage(channel, userId, `${req.user.username} deleted the channel`, io);
+    await channel.destroy();
+    await ChannelMember.destroy({ where: { channelId: channel.id } });
+
+    broadcastChannelUpdate(io, 'channel-deleted', { id: channel.id, teamId: channel.teamId, isPrivate: channel.isPrivate });
+    io.in(`channel-${channel.id}`).socketsLeave(`channel-${channel.id}`);
 
-    res.json(messages.reverse());
+    res.json({ message: 'Channel deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -287,5 +771,13 @@ module.exports = {
   getChannel,
   joinChannel,
   leaveChannel,
-  getChannelMessages
+  addChannelMembers,
+  removeChannelMember,
+  getChannelMessages,
+  getChannelPins,
+  markAsRead,
+  updateChannel,
+  archiveChannel,
+  unarchiveChannel,
+  deleteChannel
 }; 
\ No newline at end of file
@@ -0,0 +1,204 @@
+const { Channel, Message, User, TeamMember, ChannelMember, sequelize } = require('../models');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { validate: isUuid } = require('uuid');
+
+// Slack-style cap on group conversation size, including the creator
+const MAX_DM_PARTICIPANTS = 9;
+
+const populateDm = (channelId) => {
+  return Channel.findByPk(channelId, {
+    include: [
+      {
+        model: User,
+        as: 'members',
+        attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isOnline', 'isBot'],
+        through: { attributes: ['joinedAt'] }
+      },
+      {
+        model: Message,
+        as: 'lastMessage',
+        include: [{
+          model: User,
+          as: 'sender',
+          attributes: ['id', 'firstName', 'lastName', 'username', 'isBot']
+        }]
+      }
+    ]
+  });
+};
+
+// Return an existing conversation, restoring it if it was deleted and bringing back
+// anyone who left it
+const reopenDm = async (dm, participantIds) => {
+  if (dm.deletedAt) {
+    await dm.restore();
+  }
+
+  for (const id of participantIds) {
+    await ChannelMember.addMember(id, dm.id);
+  }
+
+  return populateDm(dm.id);
+};
+
+const openDm = async (req, res) => {
+  try {
+    const { teamId, userIds = [] } = req.body;
+    const userId = req.user.id;
+
+    if (typeof teamId !== 'string' || !isUuid(teamId)) {
+      return res.status(400).json({ error: 'A valid teamId is required' });
+    }
+
+    if (!Array.isArray(userIds) || !userIds.every(id => typeof id === 'string' && isUuid(id))) {
+      return res.status(400).json({ error: 'userIds must be an array of user ids' });
+    }
+
+    const participantIds = [...new Set([userId, ...userIds])];
+    if (participantIds.length > MAX_DM_PARTICIPANTS) {
+      return res.status(400).json({
+        error: `A conversation can have at most ${MAX_DM_PARTICIPANTS} people`
+      });
+    }
+
+    // Every participant must belong to the team
+    const teamMembers = await TeamMember.findAll({
+      where: {
+        teamId: teamId,
+        userId: { [Op.in]: participantIds }
+      },
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'username']
+      }]
+    });
+
+    if (!teamMembers.some(member => member.userId === userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (teamMembers.length !== participantIds.length) {
+      return res.status(400).json({ error: 'All participants must be members of the team' });
+    }
+
+    const dmKey = Channel.buildDmKey(participantIds);
+
+    // Opening a DM with the same people returns the existing conversation. A deleted one
+    // still holds its (team, dmKey) slot, so it is looked up too.
+    const existingDm = await Channel.findOne({ where: { teamId, dmKey }, paranoid: false });
+    if (existingDm) {
+      return res.json({ created: false, channel: await reopenDm(existingDm, participantIds) });
+    }
+
+    const usernames = teamMembers
+      .map(member => member.user.username)
+      .sort()
+      .join(', ');
+
+    let dm;
+    try {
+      dm = await sequelize.transaction(async (transaction) => {
+        const channel = await Channel.create({
+          name: usernames.slice(0, 50),
+          teamId: teamId,
+          createdById: userId,
+          isPrivate: true,
+          type: participantIds.length > 2 ? 'group_dm' : 'dm',
+          dmKey
+        }, { transaction });
+
+        await ChannelMember.bulkCreate(
+          participantIds.map(id => ({ userId: id, channelId: channel.id })),
+          { transaction }
+        );
+
+        return channel;
+      });
+    } catch (error) {
+      // Someone else opened the same conversation at the same time
+      if (error instanceof UniqueConstraintError) {
+        const concurrentDm = await Channel.findOne({ where: { teamId, dmKey }, paranoid: false });
+        if (!concurrentDm) {
+          return res.status(409).json({ error: 'This conversation is being changed, please try again' });
+        }
+        return res.json({ created: false, channel: await reopenDm(concurrentDm, participantIds) });
+      }
+      throw error;
+    }
+
+    const populatedDm = await populateDm(dm.id);
+
+    // Let every participant's devices pick up the new conversation
+    const io = req.app.get('io');
+    for (const id of participantIds) {
+      io.to(`user-${id}`).emit('dm-created', populatedDm);
+    }
+
+    res.status(201).json({ created: true, channel: populatedDm });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getDms = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const userId = req.user.id;
+
+    // Check if user is member of the team
+    const teamMember = await TeamMember.findOne({
+      where: {
+        userId: userId,
+        teamId: teamId
+      }
+    });
+
+    if (!teamMember) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const memberships = await ChannelMember.findAll({
+      where: { userId: userId },
+      attributes: ['channelId']
+    });
+
+    const dms = await Channel.findAll({
+      where: {
+        teamId: teamId,
+        type: { [Op.in]: ['dm', 'group_dm'] },
+        id: { [Op.in]: memberships.map(membership => membership.channelId) }
+      },
+      include: [
+        {
+          model: User,
+          as: 'members',
+          attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isOnline', 'isBot'],
+          through: { attributes: ['joinedAt'] }
+        },
+        {
+          model: Message,
+          as: 'lastMessage',
+          include: [{
+            model: User,
+            as: 'sender',
+            attributes: ['id', 'firstName', 'lastName', 'username', 'isBot']
+          }]
+        }
+      ],
+      // Most recently active conversations first
+      order: [
+        [sequelize.literal('COALESCE("lastMessage"."created_at", "Channel"."created_at")'), 'DESC']
+      ]
+    });
+
+    res.json(dms);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  openDm,
+  getDms
+};
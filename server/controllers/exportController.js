@@ -0,0 +1,180 @@
+const { Export, Channel } = require('../models');
+const storage = require('../storage');
+const { streamFile } = require('../storage/streamFile');
+const { EXPORT_FORMATS } = require('../services/exportFormats');
+const { populateExport } = require('../services/exportService');
+
+// Returns { value } or { error } for an optional end of the date range
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return { value: null };
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return { error: `${field} must be a valid date` };
+  }
+
+  return { value: date };
+};
+
+// Exports can include private channels only their requester may see, so each
+// admin only sees their own
+const findOwnExport = (req) => {
+  return Export.findOne({
+    where: {
+      id: req.params.exportId,
+      teamId: req.params.teamId,
+      requestedById: req.user.id
+    }
+  });
+};
+
+const createExport = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const { channelId, format } = req.body;
+    const userId = req.user.id;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const startDate = parseDate(req.body.startDate, 'startDate');
+    const endDate = parseDate(req.body.endDate, 'endDate');
+    const dateError = startDate.error || endDate.error;
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    if (startDate.value && endDate.value && startDate.value > endDate.value) {
+      return res.status(400).json({ error: 'startDate must be before endDate' });
+    }
+
+    // Private channels can only be exported by their members
+    if (channelId) {
+      const channel = await Channel.findOne({
+        where: {
+          id: channelId,
+          teamId: teamId,
+          type: 'channel',
+          ...Channel.visibleTo(userId)
+        }
+      });
+
+      if (!channel) {
+        return res.status(404).json({ error: 'Channel not found' });
+      }
+    }
+
+    const exportJob = await Export.create({
+      teamId: teamId,
+      channelId: channelId || null,
+      requestedById: userId,
+      format,
+      startDate: startDate.value,
+      endDate: endDate.value
+    });
+
+    // Built in the background; the requester gets `export-completed` when it is ready
+    res.status(202).json({
+      message: 'Export requested successfully',
+      export: await populateExport(exportJob.id)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getExports = async (req, res) => {
+  try {
+    const exports = await Export.findAll({
+      where: {
+        teamId: req.params.teamId,
+        requestedById: req.user.id
+      },
+      attributes: { exclude: ['storageKey'] },
+      include: [{
+        model: Channel,
+        as: 'channel',
+        attributes: ['id', 'name', 'isPrivate']
+      }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json(exports);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getExport = async (req, res) => {
+  try {
+    const exportJob = await findOwnExport(req);
+    if (!exportJob) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json(await populateExport(exportJob.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const downloadExport = async (req, res) => {
+  try {
+    const exportJob = await findOwnExport(req);
+    if (!exportJob) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    if (exportJob.status !== 'completed') {
+      return res.status(409).json({ error: `This export is ${exportJob.status}` });
+    }
+
+    await streamFile(res, exportJob.storageKey, {
+      contentType: 'application/gzip',
+      fileName: exportJob.fileName,
+      inline: false
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const deleteExport = async (req, res) => {
+  try {
+    const exportJob = await findOwnExport(req);
+    if (!exportJob) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    // Conditional so an export can't be deleted while the scheduler is building it
+    const deleted = await Export.destroy({
+      where: {
+        id: exportJob.id,
+        status: ['pending', 'completed', 'failed']
+      }
+    });
+
+    if (!deleted) {
+      return res.status(409).json({ error: 'This export is still being built' });
+    }
+
+    if (exportJob.storageKey) {
+      await storage.remove(exportJob.storageKey);
+    }
+
+    res.json({ message: 'Export deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createExport,
+  getExports,
+  getExport,
+  downloadExport,
+  deleteExport
+};
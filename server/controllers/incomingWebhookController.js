@@ -0,0 +1,240 @@
+const { IncomingWebhook, Channel, ChannelMember, User } = require('../models');
+const messageService = require('../services/messageService');
+const { MessageServiceError } = messageService;
+const { consumeRateLimit, parseIncomingPayload } = require('../services/incomingWebhookService');
+
+// The secret URL is only shown when a webhook is created or its token is rotated
+const withHookUrl = (req, webhook, token) => ({
+  ...webhook.toJSON(),
+  token,
+  url: `${req.protocol}://${req.get('host')}/api/hooks/${token}`
+});
+
+// Webhooks can post to public channels, and to private ones the creating admin belongs to
+const findPostableChannel = async (req, channelId) => {
+  const channel = await Channel.findOne({
+    where: {
+      id: channelId,
+      teamId: req.params.teamId,
+      type: 'channel'
+    }
+  });
+
+  if (!channel) {
+    return { error: 'Channel not found', status: 404 };
+  }
+
+  if (channel.archivedAt) {
+    return { error: 'Channel is archived', status: 400 };
+  }
+
+  if (channel.isPrivate) {
+    const channelMember = await ChannelMember.findOne({
+      where: {
+        userId: req.user.id,
+        channelId: channel.id
+      }
+    });
+
+    if (!channelMember) {
+      return { error: 'Channel not found', status: 404 };
+    }
+  }
+
+  return { channel };
+};
+
+const findTeamWebhook = (req) => {
+  return IncomingWebhook.findOne({
+    where: {
+      id: req.params.webhookId,
+      teamId: req.params.teamId
+    }
+  });
+};
+
+const createIncomingWebhook = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const { channelId, name, iconUrl } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const { channel, error, status } = await findPostableChannel(req, channelId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const token = IncomingWebhook.generateToken();
+
+    const webhook = await IncomingWebhook.create({
+      teamId: teamId,
+      channelId: channel.id,
+      createdById: req.user.id,
+      name: String(name).trim(),
+      iconUrl: iconUrl || null,
+      tokenHash: IncomingWebhook.hashToken(token)
+    });
+
+    res.status(201).json({
+      message: 'Incoming webhook created successfully',
+      webhook: withHookUrl(req, webhook, token)
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Webhooks posting to private channels are only listed to members of those channels
+const getIncomingWebhooks = async (req, res) => {
+  try {
+    const webhooks = await IncomingWebhook.findAll({
+      where: { teamId: req.params.teamId },
+      include: [
+        {
+          model: Channel,
+          as: 'channel',
+          attributes: ['id', 'name', 'isPrivate'],
+          where: Channel.visibleTo(req.user.id)
+        },
+        {
+          model: User,
+          as: 'createdBy',
+          attributes: ['id', 'firstName', 'lastName', 'username']
+        }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json(webhooks);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const updateIncomingWebhook = async (req, res) => {
+  try {
+    const { channelId, name, iconUrl } = req.body;
+
+    const webhook = await findTeamWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (channelId !== undefined && channelId !== webhook.channelId) {
+      const { channel, error, status } = await findPostableChannel(req, channelId);
+      if (error) {
+        return res.status(status).json({ error });
+      }
+      webhook.channelId = channel.id;
+    }
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ error: 'Name is required' });
+      }
+      webhook.name = String(name).trim();
+    }
+
+    if (iconUrl !== undefined) {
+      webhook.iconUrl = iconUrl || null;
+    }
+
+    await webhook.save();
+
+    res.json({ message: 'Incoming webhook updated successfully', webhook });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Issue a new secret URL; the old one stops working immediately
+const rotateIncomingWebhookToken = async (req, res) => {
+  try {
+    const webhook = await findTeamWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const token = IncomingWebhook.generateToken();
+    await webhook.update({ tokenHash: IncomingWebhook.hashToken(token) });
+
+    res.json({
+      message: 'Incoming webhook token rotated successfully',
+      webhook: withHookUrl(req, webhook, token)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Revoked webhooks are soft-deleted so their past messages keep their attribution
+const revokeIncomingWebhook = async (req, res) => {
+  try {
+    const webhook = await findTeamWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await webhook.destroy();
+
+    res.json({ message: 'Incoming webhook revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const postToIncomingWebhook = async (req, res) => {
+  try {
+    const webhook = await IncomingWebhook.findOne({
+      where: { tokenHash: IncomingWebhook.hashToken(req.params.token) }
+    });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const retryAfter = consumeRateLimit(webhook.id);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Rate limit exceeded' });
+    }
+
+    const channel = await Channel.findByPk(webhook.channelId);
+    if (!channel) {
+      return res.status(410).json({ error: 'The webhook\'s channel no longer exists' });
+    }
+
+    const populatedMessage = await messageService.postIntegrationMessage(
+      channel,
+      parseIncomingPayload(req.body, webhook),
+      req.app.get('io')
+    );
+
+    await webhook.update({ lastUsedAt: new Date() });
+
+    res.status(201).json({
+      message: 'Message posted successfully',
+      data: populatedMessage
+    });
+  } catch (error) {
+    res.status(error instanceof MessageServiceError ? error.status : 500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createIncomingWebhook,
+  getIncomingWebhooks,
+  updateIncomingWebhook,
+  rotateIncomingWebhookToken,
+  revokeIncomingWebhook,
+  postToIncomingWebhook
+};
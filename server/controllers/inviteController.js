@@ -0,0 +1,131 @@
+const { TeamInvite, TeamInviteRedemption, User } = require('../models');
+
+const DEFAULT_INVITE_TTL_HOURS = 7 * 24;
+
+const inviteStatus = (invite) => {
+  switch (invite.getInvalidReason()) {
+    case 'INVITE_REVOKED':
+      return 'revoked';
+    case 'INVITE_EXPIRED':
+      return 'expired';
+    case 'INVITE_EXHAUSTED':
+      return 'exhausted';
+    default:
+      return 'active';
+  }
+};
+
+const createInvite = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const { email, role = 'member', maxUses, expiresAt, expiresInHours } = req.body;
+
+    if (!['admin', 'member', 'guest'].includes(role)) {
+      return res.status(400).json({ error: 'Role must be admin, member or guest' });
+    }
+
+    if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      return res.status(400).json({ error: 'maxUses must be a positive integer' });
+    }
+
+    let expiry;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+    } else {
+      const hours = expiresInHours === undefined ? DEFAULT_INVITE_TTL_HOURS : Number(expiresInHours);
+      expiry = new Date(Date.now() + hours * 60 * 60 * 1000);
+    }
+
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return res.status(400).json({ error: 'Expiry must be a time in the future' });
+    }
+
+    const invite = await TeamInvite.create({
+      teamId: teamId,
+      createdById: req.user.id,
+      email: email || null,
+      role,
+      maxUses: maxUses || null,
+      expiresAt: expiry
+    });
+
+    res.status(201).json({
+      message: 'Invite created successfully',
+      invite: { ...invite.toJSON(), status: inviteStatus(invite) }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getInvites = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+
+    const invites = await TeamInvite.findAll({
+      where: { teamId: teamId },
+      include: [
+        {
+          model: User,
+          as: 'createdBy',
+          attributes: ['id', 'firstName', 'lastName', 'username']
+        },
+        {
+          model: TeamInviteRedemption,
+          as: 'redemptions',
+          attributes: ['id', 'createdAt'],
+          include: [{
+            model: User,
+            as: 'user',
+            attributes: ['id', 'firstName', 'lastName', 'username', 'email']
+          }]
+        }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json(invites.map(invite => ({
+      ...invite.toJSON(),
+      status: inviteStatus(invite)
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const revokeInvite = async (req, res) => {
+  try {
+    const { teamId, inviteId } = req.params;
+    const team = req.team;
+
+    const invite = await TeamInvite.findOne({
+      where: {
+        id: inviteId,
+        teamId: teamId
+      }
+    });
+
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    if (!invite.revokedAt) {
+      await invite.update({ revokedAt: new Date() });
+    }
+
+    // Revoking the team's default invite also clears its code
+    if (team.inviteCode === invite.code) {
+      await team.update({ inviteCode: null });
+    }
+
+    res.json({ message: 'Invite revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createInvite,
+  getInvites,
+  revokeInvite
+};
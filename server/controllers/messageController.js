@@ -1,15 +1,136 @@
-const { Message, Channel, User, ChannelMember, MessageReaction } = require('../models');
+const { Message, Channel, User, ChannelMember, MessageReaction, Attachment, MessageRevision, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const messageService = require('../services/messageService');
+const { isCommand, assertCanRunCommands, runCommand } = require('../services/commandService');
+const { MessageServiceError } = messageService;
+const { PERMISSIONS, hasPermission } = require('../policies/permissions');
+const { attachReactions, getReactionUsers } = require('../services/reactionService');
+const { postSystemMessage } = require('../services/systemMessageService');
+
+const MAX_PINS_PER_CHANNEL = parseInt(process.env.MAX_PINS_PER_CHANNEL) || 100;
+const PIN_EXCERPT_LENGTH = 80;
+const MAX_REPLY_LIMIT = 100;
+
+// Failures from the message service carry their HTTP status
+const sendError = (res, error) => {
+  res.status(error instanceof MessageServiceError ? error.status : 500).json({ error: error.message });
+};
 
 const sendMessage = async (req, res) => {
   try {
-    const { content, channelId } = req.body;
+    const { content, channelId, parentMessageId } = req.body;
+
+    // "/command args" runs the command instead of posting the text
+    if (isCommand(content)) {
+      assertCanRunCommands(req.apiToken);
+
+      const result = await runCommand(
+        req.user,
+        { content, channelId, parentMessageId },
+        req.app.get('io')
+      );
+
+      return res.json({
+        message: 'Command ran successfully',
+        data: result
+      });
+    }
+
+    const populatedMessage = await messageService.sendMessage(
+      req.user.id,
+      { content, channelId, parentMessageId },
+      req.app.get('io')
+    );
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      data: populatedMessage
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+const editMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { content } = req.body;
+
+    const populatedMessage = await messageService.editMessage(
+      req.user.id,
+      { messageId, content },
+      req.app.get('io')
+    );
+
+    res.json({
+      message: 'Message updated successfully',
+      data: populatedMessage
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+const deleteMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    await messageService.deleteMessage(req.user.id, { messageId }, req.app.get('io'));
+
+    res.json({ message: 'Message deleted successfully' });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+const addReaction = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { emoji } = req.body;
+
+    await messageService.toggleReaction(req.user.id, { messageId, emoji }, req.app.get('io'));
+
+    const populatedMessage = await messageService.populateMessage(messageId, req.user.id);
+
+    res.json({
+      message: 'Reaction updated successfully',
+      data: populatedMessage
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+const getMessageReplies = async (req, res) => {
+  try {
+    const { messageId } = req.params;
     const userId = req.user.id;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_REPLY_LIMIT);
+
+    const parentMessage = await Message.findByPk(messageId, {
+      include: [
+        {
+          model: User,
+          as: 'sender',
+          attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isBot']
+        },
+        {
+          model: Attachment,
+          as: 'attachments'
+        }
+      ]
+    });
 
-    // Check if user is member of the channel
+    if (!parentMessage) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    // Check if user has access to this message
     const channelMember = await ChannelMember.findOne({
       where: {
         userId: userId,
-        channelId: channelId
+        channelId: parentMessage.channelId
       }
     });
 
@@ -17,106 +138,134 @@ const sendMessage = async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    const channel = await Channel.findByPk(channelId);
-
-    // Create message
-    const message = await Message.create({
-      content,
-      senderId: userId,
-      channelId: channelId,
-      teamId: channel.teamId
+    const replies = await Message.findAll({
+      where: { parentMessageId: messageId },
+      include: [
+        {
+          model: User,
+          as: 'sender',
+          attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isBot']
+        },
+        {
+          model: Attachment,
+          as: 'attachments'
+        }
+      ],
+      order: [['createdAt', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
     });
 
-    // Update channel's last message
-    await Channel.update(
-      { lastMessageId: message.id },
-      { where: { id: channelId } }
-    );
+    await attachReactions([parentMessage, ...replies], userId);
 
-    const populatedMessage = await Message.findByPk(message.id, {
-      include: [{
-        model: User,
-        as: 'sender',
-        attributes: ['id', 'firstName', 'lastName', 'username', 'email']
-      }]
-    });
-
-    res.status(201).json({
-      message: 'Message sent successfully',
-      data: populatedMessage
+    res.json({
+      parentMessage,
+      replies,
+      pagination: {
+        page,
+        limit,
+        total: parentMessage.replyCount
+      }
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
-const editMessage = async (req, res) => {
+const getMessageReactions = async (req, res) => {
   try {
     const { messageId } = req.params;
-    const { content } = req.body;
+    const { emoji } = req.query;
     const userId = req.user.id;
 
-    const message = await Message.findOne({
-      where: {
-        id: messageId,
-        senderId: userId
-      }
-    });
+    if (!emoji) {
+      return res.status(400).json({ error: 'Emoji is required' });
+    }
 
+    const message = await Message.findByPk(messageId);
     if (!message) {
       return res.status(404).json({ error: 'Message not found' });
     }
 
-    await message.update({
-      content: content,
-      editedAt: new Date()
+    const channelMember = await ChannelMember.findOne({
+      where: {
+        userId: userId,
+        channelId: message.channelId
+      }
     });
 
-    const populatedMessage = await Message.findByPk(message.id, {
-      include: [{
-        model: User,
-        as: 'sender',
-        attributes: ['id', 'firstName', 'lastName', 'username', 'email']
-      }]
-    });
+    if (!channelMember) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const users = await getReactionUsers(messageId, emoji);
 
     res.json({
-      message: 'Message updated successfully',
-      data: populatedMessage
+      emoji,
+      count: users.length,
+      users
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
-const deleteMessage = async (req, res) => {
+const getMessageHistory = async (req, res) => {
   try {
     const { messageId } = req.params;
     const userId = req.user.id;
 
-    const message = await Message.findOne({
+    // Deleted messages are kept by paranoid mode and can be audited by admins
+    const message = await Message.findByPk(messageId, {
+      paranoid: false,
+      include: [{
+        model: User,
+        as: 'sender',
+        attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isBot']
+      }]
+    });
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const channelMember = await ChannelMember.findOne({
       where: {
-        id: messageId,
-        senderId: userId
+        userId: userId,
+        channelId: message.channelId
       }
     });
 
-    if (!message) {
+    if (!channelMember) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (message.deletedAt && !(await hasPermission(userId, message.teamId, PERMISSIONS.VIEW_DELETED_MESSAGES))) {
       return res.status(404).json({ error: 'Message not found' });
     }
 
-    await Message.destroy({ where: { id: messageId } });
+    // Oldest first, ending with the current content
+    const revisions = await MessageRevision.findAll({
+      where: { messageId: messageId },
+      attributes: ['id', 'content', 'postedAt', ['created_at', 'replacedAt']],
+      order: [['createdAt', 'ASC']]
+    });
 
-    res.json({ message: 'Message deleted successfully' });
+    await attachReactions(message, userId);
+
+    res.json({
+      message,
+      revisions
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
-const addReaction = async (req, res) => {
+// Any channel member can pin or unpin a message, up to the per-channel limit
+const setMessagePinned = (pinned) => async (req, res) => {
   try {
     const { messageId } = req.params;
-    const { emoji } = req.body;
     const userId = req.user.id;
 
     const message = await Message.findByPk(messageId);
@@ -124,7 +273,6 @@ const addReaction = async (req, res) => {
       return res.status(404).json({ error: 'Message not found' });
     }
 
-    // Check if user has access to this message
     const channelMember = await ChannelMember.findOne({
       where: {
         userId: userId,
@@ -136,64 +284,81 @@ const addReaction = async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Check if reaction already exists
-    const existingReaction = await MessageReaction.findOne({
-      where: {
-        userId: userId,
-        messageId: messageId,
-        emoji: emoji
+    const channel = await Channel.findByPk(message.channelId);
+    if (channel.archivedAt) {
+      return res.status(403).json({ error: 'Channel is archived' });
+    }
+
+    // Pins are checked and set under a lock on the channel, so concurrent pins can't
+    // pass the limit or pin the same message twice
+    await sequelize.transaction(async (transaction) => {
+      await Channel.findByPk(channel.id, { transaction, lock: transaction.LOCK.UPDATE });
+      await message.reload({ transaction });
+
+      if (Boolean(message.pinnedAt) === pinned) {
+        throw new MessageServiceError(400, pinned ? 'Message is already pinned' : 'Message is not pinned');
       }
-    });
 
-    if (existingReaction) {
-      // Remove reaction
-      await MessageReaction.destroy({
-        where: {
-          userId: userId,
-          messageId: messageId,
-          emoji: emoji
-        }
-      });
-    } else {
-      // Add reaction
-      await MessageReaction.create({
-        userId: userId,
-        messageId: messageId,
-        emoji: emoji
-      });
-    }
+      if (pinned) {
+        const pinCount = await Message.count({
+          where: {
+            channelId: message.channelId,
+            pinnedAt: { [Op.ne]: null }
+          },
+          transaction
+        });
 
-    const populatedMessage = await Message.findByPk(messageId, {
-      include: [
-        {
-          model: User,
-          as: 'sender',
-          attributes: ['id', 'firstName', 'lastName', 'username', 'email']
-        },
-        {
-          model: User,
-          as: 'reactedUsers',
-          attributes: ['id', 'firstName', 'lastName', 'username'],
-          through: {
-            model: MessageReaction,
-            attributes: ['emoji']
-          }
+        if (pinCount >= MAX_PINS_PER_CHANNEL) {
+          throw new MessageServiceError(400, `A channel can have at most ${MAX_PINS_PER_CHANNEL} pinned messages`);
         }
-      ]
+      }
+
+      await message.update(pinned
+        ? { pinnedAt: new Date(), pinnedById: userId }
+        : { pinnedAt: null, pinnedById: null }, { transaction });
+    });
+
+    const io = req.app.get('io');
+
+    const excerpt = message.content.length > PIN_EXCERPT_LENGTH
+      ? message.content.slice(0, PIN_EXCERPT_LENGTH) + '…'
+      : message.content;
+    await postSystemMessage(
+      channel,
+      userId,
+      `${req.user.username} ${pinned ? 'pinned' : 'unpinned'} a message: ${excerpt}`,
+      io
+    );
+
+    io.to(`channel-${channel.id}`).emit(pinned ? 'message-pinned' : 'message-unpinned', {
+      messageId: message.id,
+      channelId: channel.id,
+      pinnedAt: message.pinnedAt,
+      pinnedBy: pinned
+        ? { id: req.user.id, firstName: req.user.firstName, lastName: req.user.lastName, username: req.user.username }
+        : null
     });
 
     res.json({
-      message: 'Reaction updated successfully',
-      data: populatedMessage
+      message: pinned ? 'Message pinned successfully' : 'Message unpinned successfully',
+      data: await messageService.populateMessage(message.id, userId)
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 };
 
+const pinMessage = setMessagePinned(true);
+const unpinMessage = setMessagePinned(false);
+
 module.exports = {
   sendMessage,
   editMessage,
   deleteMessage,
-  addReaction
+  addReaction,
+  getMessageReplies,
+  getMessageReactions,
+  getMessageHistory,
+  pinMessage,
+  unpinMessage
 }; 
\ No newline at end of file
@@ -0,0 +1,145 @@
+const { Notification, Channel, ChannelMember, Message, User, SavedItem } = require('../models');
+const { Op } = require('sequelize');
+
+const getNotifications = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { unread, page = 1, limit = 50 } = req.query;
+
+    const where = { userId: userId };
+    if (unread === 'true') {
+      where.readAt = null;
+    }
+
+    const notifications = await Notification.findAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: 'actor',
+          attributes: ['id', 'firstName', 'lastName', 'username']
+        },
+        {
+          model: Message,
+          as: 'message',
+          attributes: ['id', 'content', 'channelId', 'parentMessageId', 'createdAt']
+        },
+        {
+          model: Channel,
+          as: 'channel',
+          attributes: ['id', 'name', 'type']
+        },
+        {
+          model: SavedItem,
+          as: 'savedItem',
+          attributes: ['id', 'messageId', 'remindAt', 'completedAt']
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    const channelIds = notifications
+      .map(notification => notification.message ? notification.message.channelId : notification.channelId)
+      .filter(Boolean);
+    const memberships = await ChannelMember.findAll({
+      where: {
+        userId: userId,
+        channelId: { [Op.in]: [...new Set(channelIds)] }
+      },
+      attributes: ['channelId']
+    });
+    const memberChannelIds = new Set(memberships.map(membership => membership.channelId));
+
+    // Keep notifications from channels the user has since left, but without the message
+    // content or channel details
+    const items = notifications.map(notification => {
+      const channelId = notification.message ? notification.message.channelId : notification.channelId;
+      const available = !channelId || memberChannelIds.has(channelId);
+      return {
+        ...notification.toJSON(),
+        available,
+        message: available ? notification.message : null,
+        channel: available ? notification.channel : null
+      };
+    });
+
+    const unreadCount = await Notification.count({
+      where: {
+        userId: userId,
+        readAt: null
+      }
+    });
+
+    res.json({
+      notifications: items,
+      unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const markNotificationRead = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+    const userId = req.user.id;
+
+    const notification = await Notification.findOne({
+      where: {
+        id: notificationId,
+        userId: userId
+      }
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      await notification.update({ readAt: new Date() });
+    }
+
+    // Keep the user's other devices in sync
+    req.app.get('io').to(`user-${userId}`).emit('notifications-read', {
+      ids: [notification.id]
+    });
+
+    res.json({ message: 'Notification marked as read', notification });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const [updatedCount] = await Notification.update(
+      { readAt: new Date() },
+      {
+        where: {
+          userId: userId,
+          readAt: { [Op.is]: null }
+        }
+      }
+    );
+
+    req.app.get('io').to(`user-${userId}`).emit('notifications-read', { all: true });
+
+    res.json({ message: 'All notifications marked as read', updatedCount });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
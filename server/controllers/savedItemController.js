@@ -0,0 +1,231 @@
+const { SavedItem, Message, Channel, User, ChannelMember } = require('../models');
+const { Op } = require('sequelize');
+const { canAccessMessage } = require('../services/reminderService');
+const { attachReactions } = require('../services/reactionService');
+
+// Parse an optional remindAt; null clears the reminder
+const parseRemindAt = (remindAt) => {
+  if (remindAt === null) {
+    return { value: null };
+  }
+
+  const date = new Date(remindAt);
+  if (isNaN(date.getTime())) {
+    return { error: 'remindAt must be a valid date' };
+  }
+
+  if (date <= new Date()) {
+    return { error: 'remindAt must be in the future' };
+  }
+
+  return { value: date };
+};
+
+const findSavedItem = (savedItemId, userId) => {
+  return SavedItem.findOne({
+    where: {
+      id: savedItemId,
+      userId: userId
+    }
+  });
+};
+
+const saveMessage = async (req, res) => {
+  try {
+    const { messageId, remindAt } = req.body;
+    const userId = req.user.id;
+
+    const message = await Message.findByPk(messageId);
+    if (!(await canAccessMessage(userId, message))) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    let parsedRemindAt = null;
+    if (remindAt !== undefined) {
+      const parsed = parseRemindAt(remindAt);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      parsedRemindAt = parsed.value;
+    }
+
+    const existingItem = await SavedItem.findOne({
+      where: {
+        userId: userId,
+        messageId: messageId
+      }
+    });
+
+    if (existingItem) {
+      return res.status(409).json({ error: 'Message is already saved', savedItem: existingItem });
+    }
+
+    const savedItem = await SavedItem.create({
+      userId: userId,
+      messageId: messageId,
+      remindAt: parsedRemindAt
+    });
+
+    res.status(201).json({ message: 'Message saved successfully', savedItem });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getSavedItems = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { status = 'active', page = 1, limit = 50 } = req.query;
+
+    const where = { userId: userId };
+    if (status === 'active') {
+      where.completedAt = null;
+    } else if (status === 'completed') {
+      where.completedAt = { [Op.ne]: null };
+    }
+
+    const savedItems = await SavedItem.findAll({
+      where,
+      include: [{
+        model: Message,
+        as: 'message',
+        // Deleted messages come back as null
+        required: false,
+        include: [
+          {
+            model: User,
+            as: 'sender',
+            attributes: ['id', 'firstName', 'lastName', 'username', 'isBot']
+          },
+          {
+            model: Channel,
+            as: 'channel',
+            attributes: ['id', 'name', 'type', 'teamId']
+          }
+        ]
+      }],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    const memberships = await ChannelMember.findAll({
+      where: {
+        userId: userId,
+        channelId: {
+          [Op.in]: savedItems
+            .filter(savedItem => savedItem.message)
+            .map(savedItem => savedItem.message.channelId)
+        }
+      },
+      attributes: ['channelId']
+    });
+    const memberChannelIds = new Set(memberships.map(membership => membership.channelId));
+
+    await attachReactions(
+      savedItems
+        .map(savedItem => savedItem.message)
+        .filter(message => message && memberChannelIds.has(message.channelId)),
+      userId
+    );
+
+    // Keep items for deleted or inaccessible messages, but without their content.
+    // Reminders set with /remind have a note instead of a message and are always available.
+    const items = savedItems.map(savedItem => {
+      const available = !savedItem.messageId ||
+        (Boolean(savedItem.message) && memberChannelIds.has(savedItem.message.channelId));
+      return {
+        ...savedItem.toJSON(),
+        available,
+        message: available ? savedItem.message : null
+      };
+    });
+
+    res.json({
+      savedItems: items,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const updateSavedItem = async (req, res) => {
+  try {
+    const { savedItemId } = req.params;
+    const { remindAt } = req.body;
+
+    const savedItem = await findSavedItem(savedItemId, req.user.id);
+    if (!savedItem) {
+      return res.status(404).json({ error: 'Saved item not found' });
+    }
+
+    if (remindAt === undefined) {
+      return res.status(400).json({ error: 'remindAt is required' });
+    }
+
+    const parsed = parseRemindAt(remindAt);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    // A new reminder time means the reminder should fire again
+    await savedItem.update({ remindAt: parsed.value, remindedAt: null });
+
+    res.json({ message: 'Saved item updated successfully', savedItem });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const setSavedItemCompleted = (completed) => async (req, res) => {
+  try {
+    const { savedItemId } = req.params;
+
+    const savedItem = await findSavedItem(savedItemId, req.user.id);
+    if (!savedItem) {
+      return res.status(404).json({ error: 'Saved item not found' });
+    }
+
+    await savedItem.update({ completedAt: completed ? new Date() : null });
+
+    res.json({
+      message: completed ? 'Saved item completed' : 'Saved item reopened',
+      savedItem
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const completeSavedItem = setSavedItemCompleted(true);
+const reopenSavedItem = setSavedItemCompleted(false);
+
+const removeSavedItem = async (req, res) => {
+  try {
+    const { savedItemId } = req.params;
+
+    const savedItem = await findSavedItem(savedItemId, req.user.id);
+    if (!savedItem) {
+      return res.status(404).json({ error: 'Saved item not found' });
+    }
+
+    await savedItem.destroy();
+
+    res.json({ message: 'Saved item removed successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  saveMessage,
+  getSavedItems,
+  updateSavedItem,
+  completeSavedItem,
+  reopenSavedItem,
+  removeSavedItem
+};
@@ -0,0 +1,226 @@
+const { ScheduledMessage, Message, Channel } = require('../models');
+const { MessageServiceError, validateContent, findMemberChannel } = require('../services/messageService');
+const { isCommand } = require('../services/commandService');
+const { populateScheduledMessage } = require('../services/scheduledMessageService');
+
+const MAX_SCHEDULE_DAYS = 120;
+const STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+
+// Failures from the message service carry their HTTP status
+const sendError = (res, error) => {
+  res.status(error instanceof MessageServiceError ? error.status : 500).json({ error: error.message });
+};
+
+// Returns { value } or { error } for a requested send time
+const parseSendAt = (sendAt) => {
+  const date = new Date(sendAt);
+  if (!sendAt || isNaN(date.getTime())) {
+    return { error: 'sendAt must be a valid date' };
+  }
+
+  if (date <= new Date()) {
+    return { error: 'sendAt must be in the future' };
+  }
+
+  if (date - Date.now() > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Messages can be scheduled up to ${MAX_SCHEDULE_DAYS} days ahead` };
+  }
+
+  return { value: date };
+};
+
+// Slash commands run immediately and can't be scheduled
+const validateScheduledContent = (content) => {
+  validateContent(content);
+
+  if (isCommand(content)) {
+    throw new MessageServiceError(400, 'Slash commands cannot be scheduled');
+  }
+};
+
+const findScheduledMessage = (scheduledMessageId, userId) => {
+  return ScheduledMessage.findOne({
+    where: {
+      id: scheduledMessageId,
+      userId: userId
+    }
+  });
+};
+
+const createScheduledMessage = async (req, res) => {
+  try {
+    const { content, channelId, parentMessageId, sendAt } = req.body;
+    const userId = req.user.id;
+
+    validateScheduledContent(content);
+
+    const parsed = parseSendAt(sendAt);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    // Access is checked again when the message is sent
+    const channel = await findMemberChannel(userId, channelId, { writable: true });
+
+    if (parentMessageId) {
+      const parentMessage = await Message.findOne({
+        where: {
+          id: parentMessageId,
+          channelId: channel.id,
+          parentMessageId: null
+        }
+      });
+
+      if (!parentMessage) {
+        return res.status(404).json({ error: 'Parent message not found' });
+      }
+    }
+
+    const scheduledMessage = await ScheduledMessage.create({
+      userId: userId,
+      channelId: channel.id,
+      parentMessageId: parentMessageId || null,
+      content,
+      sendAt: parsed.value
+    });
+
+    res.status(201).json({
+      message: 'Message scheduled successfully',
+      scheduledMessage: await populateScheduledMessage(scheduledMessage.id)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+const getScheduledMessages = async (req, res) => {
+  try {
+    const { status = 'pending', channelId, page = 1, limit = 50 } = req.query;
+
+    if (status !== 'all' && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${[...STATUSES, 'all'].join(', ')}` });
+    }
+
+    const where = { userId: req.user.id };
+    if (status !== 'all') {
+      where.status = status;
+    }
+    if (channelId) {
+      where.channelId = channelId;
+    }
+
+    const scheduledMessages = await ScheduledMessage.findAll({
+      where,
+      include: [{
+        model: Channel,
+        as: 'channel',
+        attributes: ['id', 'name', 'type', 'teamId']
+      }],
+      // Upcoming messages soonest first; sent and failed ones most recent first
+      order: [['sendAt', status === 'pending' ? 'ASC' : 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      scheduledMessages,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const updateScheduledMessage = async (req, res) => {
+  try {
+    const { scheduledMessageId } = req.params;
+    const { content, sendAt } = req.body;
+
+    const scheduledMessage = await findScheduledMessage(scheduledMessageId, req.user.id);
+    if (!scheduledMessage) {
+      return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+
+    const changes = {};
+
+    if (content !== undefined) {
+      validateScheduledContent(content);
+      changes.content = content;
+    }
+
+    if (sendAt !== undefined) {
+      const parsed = parseSendAt(sendAt);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      changes.sendAt = parsed.value;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'content or sendAt is required' });
+    }
+
+    // Only while pending, so an edit can't race the scheduler sending the message
+    const [updated] = await ScheduledMessage.update(changes, {
+      where: {
+        id: scheduledMessage.id,
+        status: 'pending'
+      }
+    });
+
+    if (!updated) {
+      await scheduledMessage.reload();
+      return res.status(409).json({ error: `This message is already ${scheduledMessage.status}` });
+    }
+
+    res.json({
+      message: 'Scheduled message updated successfully',
+      scheduledMessage: await populateScheduledMessage(scheduledMessage.id)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+const cancelScheduledMessage = async (req, res) => {
+  try {
+    const { scheduledMessageId } = req.params;
+
+    const scheduledMessage = await findScheduledMessage(scheduledMessageId, req.user.id);
+    if (!scheduledMessage) {
+      return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+
+    const [cancelled] = await ScheduledMessage.update(
+      { status: 'cancelled' },
+      {
+        where: {
+          id: scheduledMessage.id,
+          status: 'pending'
+        }
+      }
+    );
+
+    if (!cancelled) {
+      await scheduledMessage.reload();
+      return res.status(409).json({ error: `This message is already ${scheduledMessage.status}` });
+    }
+
+    res.json({
+      message: 'Scheduled message cancelled successfully',
+      scheduledMessage: await populateScheduledMessage(scheduledMessage.id)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createScheduledMessage,
+  getScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage
+};
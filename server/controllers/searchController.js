@@ -0,0 +1,222 @@
+const { Message, Channel, User, TeamMember, ChannelMember, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { attachReactions } = require('../services/reactionService');
+
+const SEARCH_CONFIG = 'english';
+const MAX_LIMIT = 100;
+const FILTER_PATTERN = /(^|\s)(from|in|before|after|has):("[^"]*"|\S+)/gi;
+const HAS_FILTERS = ['file', 'image', 'link'];
+
+// Message content with HTML special characters escaped, so highlights are safe to render
+const ESCAPED_CONTENT = `replace(replace(replace(replace(replace("Message"."content", '&', '&amp;'), ` +
+  `'<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;')`;
+
+// Split a raw query into free text and from:/in:/before:/after:/has: filters
+const parseSearchQuery = (rawQuery) => {
+  const filters = {
+    from: [],
+    in: [],
+    before: null,
+    after: null,
+    has: []
+  };
+  const errors = [];
+
+  const text = rawQuery.replace(FILTER_PATTERN, (match, prefix, key, rawValue) => {
+    const value = rawValue.replace(/^"|"$/g, '');
+
+    switch (key.toLowerCase()) {
+      case 'from':
+        filters.from.push(value.replace(/^@/, ''));
+        break;
+      case 'in':
+        filters.in.push('#' + value.replace(/^#/, ''));
+        break;
+      case 'before':
+      case 'after': {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          errors.push(`Invalid date for ${key}: ${value}`);
+        } else {
+          filters[key.toLowerCase()] = date;
+        }
+        break;
+      }
+      case 'has':
+        if (!HAS_FILTERS.includes(value.toLowerCase())) {
+          errors.push(`Unsupported filter has:${value}`);
+        } else {
+          filters.has.push(value.toLowerCase());
+        }
+        break;
+    }
+
+    return prefix;
+  }).replace(/\s+/g, ' ').trim();
+
+  return { text, filters, errors };
+};
+
+const searchMessages = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const userId = req.user.id;
+    const { q = '' } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_LIMIT);
+
+    // Check if user is member of the team
+    const teamMember = await TeamMember.findOne({
+      where: {
+        userId: userId,
+        teamId: teamId
+      }
+    });
+
+    if (!teamMember) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { text, filters, errors } = parseSearchQuery(String(q));
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    const hasFilters = filters.from.length || filters.in.length ||
+      filters.before || filters.after || filters.has.length;
+
+    if (!text && !hasFilters) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+
+    const emptyResult = {
+      query: q,
+      results: [],
+      pagination: { page: parseInt(page), limit, hasMore: false }
+    };
+
+    // Only search channels of this team the user belongs to
+    const channelWhere = { teamId: teamId };
+    if (filters.in.length) {
+      channelWhere.name = { [Op.in]: filters.in };
+    }
+
+    const memberships = await ChannelMember.findAll({
+      where: { userId: userId },
+      attributes: ['channelId'],
+      include: [{
+        model: Channel,
+        as: 'channel',
+        attributes: [],
+        where: channelWhere
+      }]
+    });
+
+    const channelIds = memberships.map(membership => membership.channelId);
+    if (channelIds.length === 0) {
+      return res.json(emptyResult);
+    }
+
+    const conditions = [
+      { teamId: teamId },
+      { channelId: { [Op.in]: channelIds } }
+    ];
+
+    if (filters.from.length) {
+      const senders = await User.findAll({
+        where: { username: { [Op.in]: filters.from } },
+        attributes: ['id']
+      });
+
+      if (senders.length === 0) {
+        return res.json(emptyResult);
+      }
+
+      conditions.push({ senderId: { [Op.in]: senders.map(sender => sender.id) } });
+    }
+
+    if (filters.before) {
+      conditions.push({ createdAt: { [Op.lt]: filters.before } });
+    }
+
+    if (filters.after) {
+      conditions.push({ createdAt: { [Op.gt]: filters.after } });
+    }
+
+    if (filters.has.includes('file')) {
+      conditions.push({ messageType: { [Op.in]: ['file', 'image'] } });
+    }
+
+    if (filters.has.includes('image')) {
+      conditions.push({ messageType: 'image' });
+    }
+
+    if (filters.has.includes('link')) {
+      conditions.push({ content: { [Op.iRegexp]: 'https?://' } });
+    }
+
+    const attributes = { include: [] };
+    const order = [];
+
+    if (text) {
+      const tsQuery = `websearch_to_tsquery('${SEARCH_CONFIG}', :text)`;
+
+      // Must match the expression of the messages_content_search index
+      conditions.push(sequelize.literal(
+        `to_tsvector('${SEARCH_CONFIG}', "Message"."content") @@ ${tsQuery}`
+      ));
+
+      attributes.include.push(
+        [sequelize.literal(
+          `ts_headline('${SEARCH_CONFIG}', ${ESCAPED_CONTENT}, ${tsQuery}, ` +
+          `'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MinWords=5, MaxWords=20')`
+        ), 'highlight'],
+        [sequelize.literal(
+          `ts_rank(to_tsvector('${SEARCH_CONFIG}', "Message"."content"), ${tsQuery})`
+        ), 'rank']
+      );
+      order.push([sequelize.literal('"rank"'), 'DESC']);
+    }
+
+    order.push(['createdAt', 'DESC'], ['id', 'DESC']);
+
+    // Fetch one extra row to know whether there is another page
+    const messages = await Message.findAll({
+      where: { [Op.and]: conditions },
+      attributes,
+      include: [
+        {
+          model: User,
+          as: 'sender',
+          attributes: ['id', 'firstName', 'lastName', 'username', 'isBot']
+        },
+        {
+          model: Channel,
+          as: 'channel',
+          attributes: ['id', 'name', 'isPrivate']
+        }
+      ],
+      replacements: { text },
+      order,
+      limit: limit + 1,
+      offset: (page - 1) * limit
+    });
+
+    const hasMore = messages.length > limit;
+    const results = messages.slice(0, limit);
+    await attachReactions(results, userId);
+
+    res.json({
+      query: q,
+      results,
+      pagination: { page, limit, hasMore }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  searchMessages
+};
@@ -0,0 +1,185 @@
+const { SlashCommand, User } = require('../models');
+const { Op } = require('sequelize');
+const { BUILTIN_COMMAND_NAMES } = require('../services/commandService');
+const { checkOutboundUrl } = require('../services/outboundUrlService');
+
+// Accept names typed with or without the leading slash
+const normalizeName = (name) => {
+  return typeof name === 'string' ? name.trim().replace(/^\//, '').toLowerCase() : '';
+};
+
+// Returns an error and status, or null if the name is free in the team
+const validateName = async (teamId, name, commandId) => {
+  if (!name) {
+    return { error: 'Command name is required', status: 400 };
+  }
+
+  if (BUILTIN_COMMAND_NAMES.includes(name)) {
+    return { error: `/${name} is a built-in command`, status: 400 };
+  }
+
+  const existingCommand = await SlashCommand.findOne({
+    where: {
+      teamId: teamId,
+      name: name,
+      ...(commandId && { id: { [Op.ne]: commandId } })
+    }
+  });
+
+  if (existingCommand) {
+    return { error: `/${name} already exists in this team`, status: 409 };
+  }
+
+  return null;
+};
+
+const findTeamCommand = (req) => {
+  return SlashCommand.findOne({
+    where: {
+      id: req.params.commandId,
+      teamId: req.params.teamId
+    }
+  });
+};
+
+const createSlashCommand = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const { url, description, usageHint } = req.body;
+    const name = normalizeName(req.body.name);
+
+    const nameError = await validateName(teamId, name);
+    if (nameError) {
+      return res.status(nameError.status).json({ error: nameError.error });
+    }
+
+    const urlError = url && await checkOutboundUrl(url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+
+    const command = await SlashCommand.create({
+      teamId: teamId,
+      createdById: req.user.id,
+      name,
+      url,
+      description: description || null,
+      usageHint: usageHint || null
+    });
+
+    // The signing secret is only shown now and when it is rotated
+    res.status(201).json({
+      message: 'Slash command created successfully',
+      command: { ...command.toJSON(), secret: command.secret }
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getSlashCommands = async (req, res) => {
+  try {
+    const commands = await SlashCommand.findAll({
+      where: { teamId: req.params.teamId },
+      include: [{
+        model: User,
+        as: 'createdBy',
+        attributes: ['id', 'firstName', 'lastName', 'username']
+      }],
+      order: [['name', 'ASC']]
+    });
+
+    res.json(commands);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const updateSlashCommand = async (req, res) => {
+  try {
+    const { name, url, description, usageHint } = req.body;
+
+    const command = await findTeamCommand(req);
+    if (!command) {
+      return res.status(404).json({ error: 'Slash command not found' });
+    }
+
+    if (name !== undefined) {
+      const newName = normalizeName(name);
+      const nameError = await validateName(command.teamId, newName, command.id);
+      if (nameError) {
+        return res.status(nameError.status).json({ error: nameError.error });
+      }
+      command.name = newName;
+    }
+
+    if (url !== undefined) {
+      const urlError = url && await checkOutboundUrl(url);
+      if (urlError) {
+        return res.status(400).json({ error: urlError });
+      }
+      command.url = url;
+    }
+
+    if (description !== undefined) {
+      command.description = description || null;
+    }
+
+    if (usageHint !== undefined) {
+      command.usageHint = usageHint || null;
+    }
+
+    await command.save();
+
+    res.json({ message: 'Slash command updated successfully', command });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const rotateSlashCommandSecret = async (req, res) => {
+  try {
+    const command = await findTeamCommand(req);
+    if (!command) {
+      return res.status(404).json({ error: 'Slash command not found' });
+    }
+
+    await command.update({ secret: SlashCommand.generateSecret() });
+
+    res.json({
+      message: 'Slash command secret rotated successfully',
+      command: { ...command.toJSON(), secret: command.secret }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const deleteSlashCommand = async (req, res) => {
+  try {
+    const command = await findTeamCommand(req);
+    if (!command) {
+      return res.status(404).json({ error: 'Slash command not found' });
+    }
+
+    await command.destroy();
+
+    res.json({ message: 'Slash command deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createSlashCommand,
+  getSlashCommands,
+  updateSlashCommand,
+  rotateSlashCommandSecret,
+  deleteSlashCommand
+};
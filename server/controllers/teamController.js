@@ -1,5 +1,40 @@
-const { Team, User, Channel, TeamMember, ChannelMember } = require('../models');
+const { Team, User, Channel, TeamMember, ChannelMember, TeamInvite, TeamInviteRedemption, sequelize } = require('../models');
 const { Op } = require('sequelize');
+const { getUnreadCounts } = require('../services/readStateService');
+const { WEBHOOK_EVENTS, dispatchEvent } = require('../services/webhookService');
+const { tokenChannelWhere } = require('../services/apiTokenService');
+
+const INVITE_ERRORS = {
+  INVITE_REVOKED: 'This invite has been revoked',
+  INVITE_EXPIRED: 'This invite has expired',
+  INVITE_EXHAUSTED: 'This invite has reached its maximum number of uses'
+};
+
+// The default code made with the team and on reset expires and runs out like other invites
+const DEFAULT_INVITE_TTL_HOURS = parseInt(process.env.DEFAULT_INVITE_TTL_HOURS) || 7 * 24;
+const DEFAULT_INVITE_MAX_USES = parseInt(process.env.DEFAULT_INVITE_MAX_USES) || 50;
+
+// Replace the team's default invite code
+const resetDefaultInvite = async (team, userId) => {
+  if (team.inviteCode) {
+    await TeamInvite.update(
+      { revokedAt: new Date() },
+      { where: { code: team.inviteCode, revokedAt: null } }
+    );
+  }
+
+  const inviteCode = team.generateInviteCode();
+  const invite = await TeamInvite.create({
+    teamId: team.id,
+    createdById: userId,
+    code: inviteCode,
+    maxUses: DEFAULT_INVITE_MAX_USES,
+    expiresAt: new Date(Date.now() + DEFAULT_INVITE_TTL_HOURS * 60 * 60 * 1000)
+  });
+  await team.save();
+
+  return invite;
+};
 
 const createTeam = async (req, res) => {
   try {
@@ -14,8 +49,7 @@ const createTeam = async (req, res) => {
     });
 
     // Generate invite code
-    team.generateInviteCode();
-    await team.save();
+    await resetDefaultInvite(team, userId);
 
     // Add owner as admin member
     await TeamMember.create({
@@ -52,12 +86,14 @@ const createTeam = async (req, res) => {
         {
           model: User,
           as: 'members',
-          attributes: ['id', 'firstName', 'lastName', 'username', 'email'],
+          attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isBot'],
           through: { attributes: ['role', 'joinedAt'] }
         },
         {
           model: Channel,
-          as: 'channels'
+          as: 'channels',
+          where: { type: 'channel', archivedAt: null, ...Channel.visibleTo(userId) },
+          required: false
         }
       ]
     });
@@ -90,17 +126,49 @@ const getTeams = async (req, res) => {
         {
           model: User,
           as: 'members',
-          attributes: ['id', 'firstName', 'lastName', 'username', 'email'],
+          attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isBot'],
           through: { attributes: ['role', 'joinedAt'] }
         },
         {
           model: Channel,
-          as: 'channels'
+          as: 'channels',
+          where: { type: 'channel', archivedAt: null, ...Channel.visibleTo(userId), ...tokenChannelWhere(req.apiToken) },
+          required: false
         }
       ]
     });
 
-    res.json(teams);
+    // Roll up unread and mention counts across the user's channels in each team
+    const channelMemberships = await ChannelMember.findAll({
+      where: { userId: userId },
+      attributes: ['channelId'],
+      include: [{
+        model: Channel,
+        as: 'channel',
+        attributes: ['teamId'],
+        where: { teamId: { [Op.in]: teamIds }, ...tokenChannelWhere(req.apiToken) }
+      }]
+    });
+
+    const unreadCounts = await getUnreadCounts(
+      userId,
+      channelMemberships.map(membership => membership.channelId)
+    );
+
+    res.json(teams.map(team => {
+      let unreadCount = 0;
+      let mentionCount = 0;
+
+      for (const membership of channelMemberships) {
+        const counts = unreadCounts.get(membership.channelId);
+        if (membership.channel.teamId === team.id && counts) {
+          unreadCount += counts.unreadCount;
+          mentionCount += counts.mentionCount;
+        }
+      }
+
+      return { ...team.toJSON(), unreadCount, mentionCount };
+    }));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -116,12 +184,14 @@ const getTeam = async (req, res) => {
         {
           model: User,
           as: 'members',
-          attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isOnline', 'lastSeen'],
+          attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isOnline', 'lastSeen', 'isBot'],
           through: { attributes: ['role', 'joinedAt'] }
         },
         {
           model: Channel,
-          as: 'channels'
+          as: 'channels',
+          where: { type: 'channel', archivedAt: null, ...Channel.visibleTo(userId), ...tokenChannelWhere(req.apiToken) },
+          required: false
         }
       ]
     });
@@ -147,11 +217,29 @@ const joinTeam = async (req, res) => {
     const { inviteCode } = req.body;
     const userId = req.user.id;
 
-    const team = await Team.findOne({ where: { inviteCode } });
-    if (!team) {
-      return res.status(404).json({ error: 'Invalid invite code' });
+    const invite = inviteCode && await TeamInvite.findOne({
+      where: { code: inviteCode },
+      include: [{ model: Team, as: 'team' }]
+    });
+
+    if (!invite || !invite.team) {
+      return res.status(404).json({ error: 'Invalid invite code', code: 'INVITE_NOT_FOUND' });
+    }
+
+    const invalidReason = invite.getInvalidReason();
+    if (invalidReason) {
+      return res.status(410).json({ error: INVITE_ERRORS[invalidReason], code: invalidReason });
     }
 
+    if (invite.email && invite.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        error: 'This invite was issued to a different email address',
+        code: 'INVITE_EMAIL_MISMATCH'
+      });
+    }
+
+    const team = invite.team;
+
     // Check if user is already a member
     const existingMember = await TeamMember.findOne({
       where: {
@@ -161,29 +249,71 @@ const joinTeam = async (req, res) => {
     });
 
     if (existingMember) {
-      return res.status(400).json({ error: 'Already a member of this team' });
+      return res.status(400).json({ error: 'Already a member of this team', code: 'ALREADY_MEMBER' });
     }
 
-    // Add user to team
-    await TeamMember.create({
-      userId: userId,
-      teamId: team.id,
-      role: 'member'
-    });
+    const joined = await sequelize.transaction(async (transaction) => {
+      // Claim a use atomically so concurrent joins can't exceed maxUses
+      const [claimed] = await TeamInvite.update(
+        { useCount: sequelize.literal('use_count + 1') },
+        {
+          where: {
+            id: invite.id,
+            revokedAt: null,
+            // The invite may have expired since it was checked above
+            [Op.and]: [
+              { [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] },
+              {
+                [Op.or]: [
+                  { maxUses: null },
+                  { useCount: { [Op.lt]: sequelize.col('max_uses') } }
+                ]
+              }
+            ]
+          },
+          transaction
+        }
+      );
 
-    // Add user to all public channels
-    const publicChannels = await Channel.findAll({
-      where: {
-        teamId: team.id,
-        isPrivate: false
+      if (!claimed) {
+        return false;
       }
-    });
 
-    for (const channel of publicChannels) {
-      await ChannelMember.create({
+      // Add user to team
+      await TeamMember.create({
         userId: userId,
-        channelId: channel.id
+        teamId: team.id,
+        role: invite.role
+      }, { transaction });
+
+      await TeamInviteRedemption.create({
+        inviteId: invite.id,
+        userId: userId
+      }, { transaction });
+
+      return true;
+    });
+
+    if (!joined) {
+      // Report why the invite went bad while this join was in progress
+      await invite.reload();
+      const reason = invite.getInvalidReason() || 'INVITE_EXHAUSTED';
+      return res.status(410).json({ error: INVITE_ERRORS[reason], code: reason });
+    }
+
+    // Add user to all public channels (guests are only added explicitly)
+    if (invite.role !== 'guest') {
+      const publicChannels = await Channel.findAll({
+        where: {
+          teamId: team.id,
+          type: 'channel',
+          isPrivate: false
+        }
       });
+
+      for (const channel of publicChannels) {
+        await ChannelMember.addMember(userId, channel.id);
+      }
     }
 
     const populatedTeam = await Team.findByPk(team.id, {
@@ -191,16 +321,28 @@ const joinTeam = async (req, res) => {
         {
           model: User,
           as: 'members',
-          attributes: ['id', 'firstName', 'lastName', 'username', 'email'],
+          attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isBot'],
           through: { attributes: ['role', 'joinedAt'] }
         },
         {
           model: Channel,
-          as: 'channels'
+          as: 'channels',
+          where: { type: 'channel', archivedAt: null, ...Channel.visibleTo(userId) },
+          required: false
         }
       ]
     });
 
+    dispatchEvent(team.id, WEBHOOK_EVENTS.MEMBER_JOINED, {
+      user: {
+        id: req.user.id,
+        firstName: req.user.firstName,
+        lastName: req.user.lastName,
+        username: req.user.username
+      },
+      role: invite.role
+    });
+
     res.json({
       message: 'Joined team successfully',
       team: populatedTeam
@@ -211,6 +353,57 @@ const joinTeam = async (req, res) => {
 };
 
 const generateInviteCode = async (req, res) => {
+  try {
+    // Permission to manage invites is checked by the requirePermission middleware
+    const team = req.team;
+
+    const invite = await resetDefaultInvite(team, req.user.id);
+
+    res.json({
+      inviteCode: invite.code,
+      expiresAt: invite.expiresAt,
+      maxUses: invite.maxUses
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Remove a user from a team and every channel in it, and drop their sockets from its rooms
+const removeFromTeam = async (teamId, userId, io) => {
+  const teamChannels = await Channel.findAll({
+    where: { teamId: teamId },
+    attributes: ['id']
+  });
+  const channelIds = teamChannels.map(channel => channel.id);
+
+  await sequelize.transaction(async (transaction) => {
+    // Hard delete so the user can be invited back later
+    await TeamMember.destroy({
+      where: {
+        userId: userId,
+        teamId: teamId
+      },
+      force: true,
+      transaction
+    });
+
+    await ChannelMember.destroy({
+      where: {
+        userId: userId,
+        channelId: { [Op.in]: channelIds }
+      },
+      transaction
+    });
+  });
+
+  io.in(`user-${userId}`).socketsLeave([
+    `team-${teamId}`,
+    ...channelIds.map(channelId => `channel-${channelId}`)
+  ]);
+};
+
+const leaveTeam = async (req, res) => {
   try {
     const { teamId } = req.params;
     const userId = req.user.id;
@@ -220,68 +413,161 @@ const generateInviteCode = async (req, res) => {
       return res.status(404).json({ error: 'Team not found' });
     }
 
-    // Check if user is owner or admin
-    if (team.ownerId !== userId) {
-      const teamMember = await TeamMember.findOne({
-        where: {
-          userId: userId,
-          teamId: teamId,
-          role: 'admin'
-        }
-      });
+    // Can't leave if you're the owner
+    if (team.ownerId === userId) {
+      return res.status(400).json({ error: 'Transfer ownership before leaving the team' });
+    }
 
-      if (!teamMember) {
-        return res.status(403).json({ error: 'Permission denied' });
+    await removeFromTeam(teamId, userId, req.app.get('io'));
+
+    res.json({ message: 'Left team successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const updateMemberRole = async (req, res) => {
+  try {
+    const { teamId, userId: memberId } = req.params;
+    const { role } = req.body;
+    const team = req.team;
+
+    if (!['admin', 'member', 'guest'].includes(role)) {
+      return res.status(400).json({ error: 'Role must be admin, member or guest' });
+    }
+
+    if (team.ownerId === memberId) {
+      return res.status(400).json({ error: "Cannot change the owner's role" });
+    }
+
+    const teamMember = await TeamMember.findOne({
+      where: {
+        userId: memberId,
+        teamId: teamId
       }
+    });
+
+    if (!teamMember) {
+      return res.status(404).json({ error: 'Member not found' });
     }
 
-    const inviteCode = team.generateInviteCode();
-    await team.save();
+    // Only the owner can demote another admin
+    if (teamMember.role === 'admin' && req.teamRole !== 'owner') {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    await teamMember.update({ role });
+
+    req.app.get('io').to(`team-${teamId}`).emit('member-role-updated', {
+      teamId,
+      userId: memberId,
+      role
+    });
 
-    res.json({ inviteCode });
+    res.json({ message: 'Member role updated successfully', member: teamMember });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
-const leaveTeam = async (req, res) => {
+const removeMember = async (req, res) => {
   try {
-    const { teamId } = req.params;
-    const userId = req.user.id;
+    const { teamId, userId: memberId } = req.params;
+    const team = req.team;
 
-    const team = await Team.findByPk(teamId);
-    if (!team) {
-      return res.status(404).json({ error: 'Team not found' });
+    if (team.ownerId === memberId) {
+      return res.status(400).json({ error: 'Cannot remove the team owner' });
     }
 
-    // Can't leave if you're the owner
-    if (team.ownerId === userId) {
-      return res.status(400).json({ error: 'Owner cannot leave team' });
+    if (memberId === req.user.id) {
+      return res.status(400).json({ error: 'Use leave team to remove yourself' });
     }
 
-    // Remove user from team
-    await TeamMember.destroy({
+    const teamMember = await TeamMember.findOne({
       where: {
-        userId: userId,
+        userId: memberId,
         teamId: teamId
       }
     });
 
-    // Remove user from all channels in this team
-    const teamChannels = await Channel.findAll({
-      where: { teamId: teamId }
-    });
+    if (!teamMember) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // Only the owner can remove another admin
+    if (teamMember.role === 'admin' && req.teamRole !== 'owner') {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const io = req.app.get('io');
+    await removeFromTeam(teamId, memberId, io);
+
+    io.to(`team-${teamId}`).emit('member-removed', { teamId, userId: memberId });
+    io.to(`user-${memberId}`).emit('removed-from-team', { teamId });
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
 
-    for (const channel of teamChannels) {
-      await ChannelMember.destroy({
+const transferOwnership = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const { userId: newOwnerId } = req.body;
+    const team = req.team;
+    const previousOwnerId = team.ownerId;
+
+    if (newOwnerId === previousOwnerId) {
+      return res.status(400).json({ error: 'User already owns this team' });
+    }
+
+    // The owner and roles change together; the new owner's row stays locked so they
+    // can't be demoted midway
+    const transferred = await sequelize.transaction(async (transaction) => {
+      // Ownership can only go to an existing admin
+      const teamMember = await TeamMember.findOne({
         where: {
-          userId: userId,
-          channelId: channel.id
-        }
+          userId: newOwnerId,
+          teamId: teamId,
+          role: 'admin'
+        },
+        transaction,
+        lock: transaction.LOCK.UPDATE
       });
+
+      if (!teamMember) {
+        return false;
+      }
+
+      await team.update({ ownerId: newOwnerId }, { transaction });
+
+      // The previous owner stays on as an admin
+      await TeamMember.update(
+        { role: 'admin' },
+        {
+          where: {
+            userId: previousOwnerId,
+            teamId: teamId
+          },
+          transaction
+        }
+      );
+
+      return true;
+    });
+
+    if (!transferred) {
+      return res.status(400).json({ error: 'New owner must be an admin of the team' });
     }
 
-    res.json({ message: 'Left team successfully' });
+    req.app.get('io').to(`team-${teamId}`).emit('team-owner-changed', {
+      teamId,
+      ownerId: newOwnerId,
+      previousOwnerId
+    });
+
+    res.json({ message: 'Ownership transferred successfully', team });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -293,5 +579,8 @@ module.exports = {
   getTeam,
   joinTeam,
   generateInviteCode,
-  leaveTeam
+  leaveTeam,
+  updateMemberRole,
+  removeMember,
+  transferOwnership
 }; 
\ No newline at end of file
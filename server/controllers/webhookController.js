@@ -0,0 +1,203 @@
+const { OutgoingWebhook, WebhookDelivery, User } = require('../models');
+const { SUBSCRIBABLE_EVENTS, sendTestEvent } = require('../services/webhookService');
+const { checkOutboundUrl } = require('../services/outboundUrlService');
+
+const MAX_DELIVERY_LIMIT = 100;
+
+// Returns an error message, or null if the event list is valid
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'events must be a non-empty array';
+  }
+
+  const unknownEvents = events.filter(event => !SUBSCRIBABLE_EVENTS.includes(event));
+  if (unknownEvents.length > 0) {
+    return `Unknown events: ${unknownEvents.join(', ')}. Supported events: ${SUBSCRIBABLE_EVENTS.join(', ')}`;
+  }
+
+  return null;
+};
+
+const findTeamWebhook = (req) => {
+  return OutgoingWebhook.findOne({
+    where: {
+      id: req.params.webhookId,
+      teamId: req.params.teamId
+    }
+  });
+};
+
+const createWebhook = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const { url, events } = req.body;
+
+    const eventsError = validateEvents(events) || (url && await checkOutboundUrl(url));
+    if (eventsError) {
+      return res.status(400).json({ error: eventsError });
+    }
+
+    const webhook = await OutgoingWebhook.create({
+      teamId: teamId,
+      createdById: req.user.id,
+      url,
+      events: [...new Set(events)]
+    });
+
+    // The signing secret is only shown now and when it is rotated
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook: { ...webhook.toJSON(), secret: webhook.secret }
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await OutgoingWebhook.findAll({
+      where: { teamId: req.params.teamId },
+      include: [{
+        model: User,
+        as: 'createdBy',
+        attributes: ['id', 'firstName', 'lastName', 'username']
+      }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json(webhooks);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const updateWebhook = async (req, res) => {
+  try {
+    const { url, events, active } = req.body;
+
+    const webhook = await findTeamWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (events !== undefined) {
+      const eventsError = validateEvents(events);
+      if (eventsError) {
+        return res.status(400).json({ error: eventsError });
+      }
+      webhook.events = [...new Set(events)];
+    }
+
+    if (url !== undefined) {
+      const urlError = url && await checkOutboundUrl(url);
+      if (urlError) {
+        return res.status(400).json({ error: urlError });
+      }
+      webhook.url = url;
+    }
+
+    if (active !== undefined) {
+      webhook.active = Boolean(active);
+    }
+
+    await webhook.save();
+
+    res.json({ message: 'Webhook updated successfully', webhook });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const rotateWebhookSecret = async (req, res) => {
+  try {
+    const webhook = await findTeamWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await webhook.update({ secret: OutgoingWebhook.generateSecret() });
+
+    res.json({
+      message: 'Webhook secret rotated successfully',
+      webhook: { ...webhook.toJSON(), secret: webhook.secret }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findTeamWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await webhook.destroy();
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const testWebhook = async (req, res) => {
+  try {
+    const webhook = await findTeamWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = await sendTestEvent(webhook);
+
+    res.json({ message: 'Test event sent', delivery });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const { page = 1 } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_DELIVERY_LIMIT);
+
+    const webhook = await findTeamWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const deliveries = await WebhookDelivery.findAll({
+      where: { webhookId: webhook.id },
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (parseInt(page) - 1) * limit
+    });
+
+    res.json({
+      deliveries,
+      pagination: {
+        page: parseInt(page),
+        limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createWebhook,
+  getWebhooks,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  testWebhook,
+  getWebhookDeliveries
+};
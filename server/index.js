@@ -2,17 +2,35 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
+const { validate: isUuid } = require('uuid');
 require('dotenv').config();
 
 // Import database and models
-const { sequelize, User, Message, Channel, ChannelMember } = require('./models');
+const { sequelize, User, ChannelMember, TeamMember } = require('./models');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const teamRoutes = require('./routes/teams');
 const channelRoutes = require('./routes/channels');
 const messageRoutes = require('./routes/messages');
+const attachmentRoutes = require('./routes/attachments');
+const dmRoutes = require('./routes/dms');
+const notificationRoutes = require('./routes/notifications');
+const savedRoutes = require('./routes/saved');
+const scheduledRoutes = require('./routes/scheduled');
+const hookRoutes = require('./routes/hooks');
+
+// Import services
+const messageService = require('./services/messageService');
+const { isCommand, assertCanRunCommands, runCommand } = require('./services/commandService');
+const { MessageServiceError } = messageService;
+const { markChannelRead } = require('./services/readStateService');
+const { verifyAccessToken } = require('./services/sessionService');
+const { SCOPES, isApiToken, verifyApiToken, getTokenDenial, assertTokenAccess, getMessageChannelId } = require('./services/apiTokenService');
+const { startReminderScheduler } = require('./services/reminderService');
+const { startWebhookRetryScheduler } = require('./services/webhookService');
+const { startScheduledMessageScheduler } = require('./services/scheduledMessageService');
+const { startExportScheduler } = require('./services/exportService');
 
 const app = express();
 const server = http.createServer(app);
@@ -23,6 +41,9 @@ const io = socketIo(server, {
   }
 });
 
+// Make Socket.IO available to route handlers
+app.set('io', io);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -32,6 +53,12 @@ app.use('/api/auth', authRoutes);
 app.use('/api/teams', teamRoutes);
 app.use('/api/channels', channelRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/dms', dmRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/saved', savedRoutes);
+app.use('/api/scheduled', scheduledRoutes);
+app.use('/api/hooks', hookRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -46,14 +73,28 @@ const authenticateSocket = async (socket, next) => {
       return next(new Error('Authentication error'));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
-    const user = await User.findByPk(decoded.id);
+    if (isApiToken(token)) {
+      // Rejects expired and revoked tokens, and bots removed from their team
+      const authenticated = await verifyApiToken(token);
+
+      if (!authenticated) {
+        return next(new Error('Authentication error'));
+      }
+
+      socket.user = authenticated.user;
+      socket.apiToken = authenticated.apiToken;
+      return next();
+    }
+
+    // Rejects expired tokens and tokens whose session was revoked
+    const authenticated = await verifyAccessToken(token, socket.handshake.address);
     
-    if (!user) {
+    if (!authenticated) {
       return next(new Error('Authentication error'));
     }
 
-    socket.user = user;
+    socket.user = authenticated.user;
+    socket.sessionId = authenticated.session.id;
     next();
   } catch (error) {
     next(new Error('Authentication error'));
@@ -63,23 +104,90 @@ const authenticateSocket = async (socket, next) => {
 // Apply authentication middleware to all socket connections
 io.use(authenticateSocket);
 
+// Socket `error` events carry the message as `error`, like REST responses, and as
+// `message`, which socket clients read before the two were aligned
+const emitSocketError = (socket, message) => {
+  socket.emit('error', { error: message, message });
+};
+
+// Run a message service call for a socket event. Results and failures go to the
+// acknowledgement callback when the client passes one; failures otherwise arrive as `error`.
+const handleMessageEvent = (socket, action) => async (data, callback) => {
+  const acknowledge = typeof callback === 'function' ? callback : null;
+
+  try {
+    const result = await action(data || {});
+    if (acknowledge) {
+      acknowledge({ data: result });
+    }
+  } catch (error) {
+    if (!(error instanceof MessageServiceError)) {
+      console.error('Error handling message event:', error);
+    }
+
+    if (acknowledge) {
+      acknowledge({ error: error.message });
+    } else {
+      emitSocketError(socket, error.message);
+    }
+  }
+};
+
+// API token sockets need messages:write in the message's channel to change it
+const assertMessageAccess = async (socket, messageId) => {
+  if (socket.apiToken) {
+    assertTokenAccess(socket.apiToken, SCOPES.MESSAGES_WRITE, await getMessageChannelId(messageId));
+  }
+};
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log(`User ${socket.user.username} connected`);
 
+  // Personal room for events addressed to this user on any device. Channel-limited
+  // tokens stay out of it because those events can come from any channel.
+  if (!socket.apiToken || !socket.apiToken.channelIds) {
+    socket.join(`user-${socket.user.id}`);
+  }
+
+  // Session or token room so revoking the credential can disconnect this socket
+  if (socket.apiToken) {
+    socket.join(`api-token-${socket.apiToken.id}`);
+  } else {
+    socket.join(`session-${socket.sessionId}`);
+  }
+
   // Update user online status
   User.update(
     { isOnline: true },
     { where: { id: socket.user.id } }
   );
 
-  // Join user to their team rooms
+  // Join the rooms of the requested teams the user belongs to. Team events can come from
+  // any channel, so tokens need channels:read and must not be limited to some channels.
   socket.on('join-teams', async (teamIds) => {
     try {
-      for (const teamId of teamIds) {
+      if (!Array.isArray(teamIds)) {
+        return;
+      }
+
+      if (socket.apiToken &&
+          (socket.apiToken.channelIds || getTokenDenial(socket.apiToken, SCOPES.CHANNELS_READ))) {
+        return;
+      }
+
+      const teamMembers = await TeamMember.findAll({
+        where: {
+          userId: socket.user.id,
+          teamId: teamIds.filter(teamId => isUuid(teamId))
+        },
+        attributes: ['teamId']
+      });
+
+      for (const { teamId } of teamMembers) {
         socket.join(`team-${teamId}`);
       }
-      console.log(`User ${socket.user.username} joined teams: ${teamIds}`);
+      console.log(`User ${socket.user.username} joined teams: ${teamMembers.map(({ teamId }) => teamId)}`);
     } catch (error) {
       console.error('Error joining teams:', error);
     }
@@ -88,6 +196,10 @@ io.on('connection', (socket) => {
   // Join channel
   socket.on('join-channel', async (channelId) => {
     try {
+      if (socket.apiToken && getTokenDenial(socket.apiToken, SCOPES.MESSAGES_READ, channelId)) {
+        return;
+      }
+
       const channelMember = await ChannelMember.findOne({
         where: {
           channelId: channelId,
@@ -110,123 +222,48 @@ io.on('connection', (socket) => {
     console.log(`User ${socket.user.username} left channel: ${channelId}`);
   });
 
-  // Send message
-  socket.on('send-message', async (data) => {
-    try {
-      const { content, channelId } = data;
-
-      // Verify user can send message to this channel
-      const channelMember = await ChannelMember.findOne({
-        where: {
-          channelId: channelId,
-          userId: socket.user.id
-        }
-      });
-
-      if (!channelMember) {
-        socket.emit('error', { message: 'Access denied' });
-        return;
-      }
-
-      const channel = await Channel.findByPk(channelId);
-      
-      // Create message
-      const message = await Message.create({
-        content,
-        senderId: socket.user.id,
-        channelId: channelId,
-        teamId: channel.teamId
-      });
-
-      // Update channel's last message
-      await Channel.update(
-        { lastMessageId: message.id },
-        { where: { id: channelId } }
-      );
-
-      const populatedMessage = await Message.findByPk(message.id, {
-        include: [{
-          model: User,
-          as: 'sender',
-          attributes: ['id', 'firstName', 'lastName', 'username', 'email']
-        }]
-      });
-
-      // Emit to all users in the channel
-      io.to(`channel-${channelId}`).emit('new-message', populatedMessage);
+  // Message events share the REST handlers' service, validation and broadcasts
+  // "/command args" runs the command; ephemeral responses come back on this socket only
+  socket.on('send-message', handleMessageEvent(socket, async ({ content, channelId, parentMessageId }) => {
+    assertTokenAccess(socket.apiToken, SCOPES.MESSAGES_WRITE, channelId);
 
-      console.log(`Message sent in channel ${channelId} by ${socket.user.username}`);
-    } catch (error) {
-      console.error('Error sending message:', error);
-      socket.emit('error', { message: 'Failed to send message' });
+    if (isCommand(content)) {
+      assertCanRunCommands(socket.apiToken);
+      return runCommand(socket.user, { content, channelId, parentMessageId }, io, socket);
     }
-  });
-
-  // Edit message
-  socket.on('edit-message', async (data) => {
-    try {
-      const { messageId, content } = data;
-
-      const message = await Message.findOne({
-        where: {
-          id: messageId,
-          senderId: socket.user.id
-        }
-      });
 
-      if (!message) {
-        socket.emit('error', { message: 'Message not found' });
-        return;
-      }
-
-      await message.update({
-        content: content,
-        editedAt: new Date()
-      });
+    return messageService.sendMessage(socket.user.id, { content, channelId, parentMessageId }, io);
+  }));
 
-      const populatedMessage = await Message.findByPk(message.id, {
-        include: [{
-          model: User,
-          as: 'sender',
-          attributes: ['id', 'firstName', 'lastName', 'username', 'email']
-        }]
-      });
+  socket.on('edit-message', handleMessageEvent(socket, async (data) => {
+    await assertMessageAccess(socket, data.messageId);
+    return messageService.editMessage(socket.user.id, data, io);
+  }));
 
-      // Emit to all users in the channel
-      io.to(`channel-${message.channelId}`).emit('message-edited', populatedMessage);
+  // Accepts a bare message id as well as { messageId }
+  socket.on('delete-message', handleMessageEvent(socket, async (data) => {
+    const { messageId } = typeof data === 'object' ? data : { messageId: data };
+    await assertMessageAccess(socket, messageId);
+    return messageService.deleteMessage(socket.user.id, { messageId }, io);
+  }));
 
-      console.log(`Message edited by ${socket.user.username}`);
-    } catch (error) {
-      console.error('Error editing message:', error);
-      socket.emit('error', { message: 'Failed to edit message' });
-    }
-  });
+  socket.on('toggle-reaction', handleMessageEvent(socket, async (data) => {
+    await assertMessageAccess(socket, data.messageId);
+    return messageService.toggleReaction(socket.user.id, data, io);
+  }));
 
-  // Delete message
-  socket.on('delete-message', async (messageId) => {
+  // Mark channel as read
+  socket.on('mark-read', async (data) => {
     try {
-      const message = await Message.findOne({
-        where: {
-          id: messageId,
-          senderId: socket.user.id
-        }
-      });
+      const { channelId, messageId } = data;
 
-      if (!message) {
-        socket.emit('error', { message: 'Message not found' });
-        return;
+      const readState = await markChannelRead(socket.user.id, channelId, messageId, io);
+      if (!readState) {
+        emitSocketError(socket, 'Channel or message not found');
       }
-
-      const channelId = message.channelId;
-      await Message.destroy({ where: { id: messageId } });
-
-      // Emit to all users in the channel
-      io.to(`channel-${channelId}`).emit('message-deleted', messageId);
-
-      console.log(`Message deleted by ${socket.user.username}`);
     } catch (error) {
-      console.error('Error deleting message:', error);
-      socket.emit('error', { message: 'Failed to delete message' });
+      console.error('Error marking channel as read:', error);
+      emitSocketError(socket, 'Failed to mark channel as read');
     }
   });
 
@@ -267,6 +304,18 @@ const startServer = async () => {
     server.listen(PORT, () => {
       console.log(`🚀 Huddle Up server running on port ${PORT}`);
     });
+
+    // Deliver saved-item reminders in the background
+    startReminderScheduler(io);
+
+    // Retry outgoing webhook deliveries that failed
+    startWebhookRetryScheduler();
+
+    // Send scheduled messages, including any that came due while the server was down
+    startScheduledMessageScheduler(io);
+
+    // Build requested channel and team exports
+    startExportScheduler(io);
   } catch (error) {
     console.error('❌ Unable to connect to database:', error);
     process.exit(1);
@@ -1,32 +1,62 @@
-const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { verifyAccessToken } = require('../services/sessionService');
+const { isApiToken, verifyApiToken, getTokenDenial, getMessageChannelId } = require('../services/apiTokenService');
 
-const auth = async (req, res, next) => {
+// Authenticate a request. API tokens are only accepted when the route names the scope they
+// need; `getChannelId` resolves the channel a channel-limited token must be allowed in.
+const authenticate = (scope, getChannelId) => async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({ error: 'Access denied. No token provided.' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
-    const user = await User.findByPk(decoded.id);
-    
-    if (!user) {
+    if (isApiToken(token)) {
+      if (!scope) {
+        return res.status(403).json({ error: 'API tokens cannot access this endpoint' });
+      }
+
+      // Rejects expired and revoked tokens, and bots removed from their team
+      const authenticated = await verifyApiToken(token);
+
+      if (!authenticated) {
+        return res.status(401).json({ error: 'Token is not valid.' });
+      }
+
+      const channelId = getChannelId ? await getChannelId(req) : undefined;
+      const denial = getTokenDenial(authenticated.apiToken, scope, channelId);
+      if (denial) {
+        return res.status(403).json({ error: denial });
+      }
+
+      req.user = authenticated.user;
+      req.apiToken = authenticated.apiToken;
+      return next();
+    }
+
+    // Rejects expired tokens and tokens whose session was revoked
+    const authenticated = await verifyAccessToken(token, req.ip);
+
+    if (!authenticated) {
       return res.status(401).json({ error: 'Token is not valid.' });
     }
 
-    req.user = user;
+    req.user = authenticated.user;
+    req.session = authenticated.session;
     next();
   } catch (error) {
     res.status(401).json({ error: 'Token is not valid.' });
   }
 };
 
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN
-  });
-};
+const auth = authenticate();
+
+// Also accept API tokens holding `scope`
+auth.withScope = (scope, getChannelId) => authenticate(scope, getChannelId);
+
+// Channel lookups for channel-limited tokens
+auth.channelFromParams = (req) => req.params.channelId;
+auth.channelFromBody = (req) => req.body.channelId;
+auth.channelFromMessage = (req) => getMessageChannelId(req.params.messageId);
 
-module.exports = auth; 
\ No newline at end of file
+module.exports = auth;
@@ -0,0 +1,27 @@
+const { Team } = require('../models');
+const { getTeamRole, roleHasPermission } = require('../policies/permissions');
+
+// Require a team permission; the team id is read from the request by `getTeamId`
+const requirePermission = (permission, getTeamId = (req) => req.params.teamId) => {
+  return async (req, res, next) => {
+    try {
+      const team = await Team.findByPk(getTeamId(req));
+      if (!team) {
+        return res.status(404).json({ error: 'Team not found' });
+      }
+
+      const role = await getTeamRole(req.user.id, team);
+      if (!roleHasPermission(role, permission)) {
+        return res.status(403).json({ error: 'Permission denied' });
+      }
+
+      req.team = team;
+      req.teamRole = role;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+};
+
+module.exports = requirePermission;
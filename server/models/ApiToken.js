@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const TOKEN_PREFIX = 'hu_';
+
+// A long-lived, scoped credential for scripts, acting as a user or a bot
+const ApiToken = sequelize.define('ApiToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  // The user or bot the token acts as
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  createdById: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+    },
+  },
+  tokenHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  // Start of the token, so people can tell their tokens apart
+  tokenPreview: {
+    type: DataTypes.STRING,
+  },
+  scopes: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: [],
+  },
+  // When set, the token only works in these channels
+  channelIds: {
+    type: DataTypes.ARRAY(DataTypes.UUID),
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'api_tokens',
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['user_id'],
+    },
+  ],
+});
+
+ApiToken.TOKEN_PREFIX = TOKEN_PREFIX;
+
+ApiToken.generateToken = function() {
+  return TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+};
+
+ApiToken.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+ApiToken.prototype.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+ApiToken.prototype.toJSON = function() {
+  const apiToken = { ...this.get() };
+  delete apiToken.tokenHash;
+  return apiToken;
+};
+
+module.exports = ApiToken;
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Attachment = sequelize.define('Attachment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  messageId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'messages',
+      key: 'id',
+    },
+  },
+  channelId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'channels',
+      key: 'id',
+    },
+  },
+  uploaderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  fileName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  mimeType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  storageKey: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  thumbnailKey: {
+    type: DataTypes.STRING,
+  },
+  width: {
+    type: DataTypes.INTEGER,
+  },
+  height: {
+    type: DataTypes.INTEGER,
+  },
+  url: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return `/api/attachments/${this.getDataValue('id')}`;
+    },
+  },
+  thumbnailUrl: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return this.getDataValue('thumbnailKey')
+        ? `/api/attachments/${this.getDataValue('id')}/thumbnail`
+        : null;
+    },
+  },
+}, {
+  tableName: 'attachments',
+  indexes: [
+    {
+      fields: ['message_id'],
+    },
+  ],
+});
+
+module.exports = Attachment;
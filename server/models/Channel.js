@@ -1,4 +1,4 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const sequelize = require('../config/database');
 
 const Channel = sequelize.define('Channel', {
@@ -40,6 +40,30 @@ const Channel = sequelize.define('Channel', {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
   },
+  topic: {
+    type: DataTypes.STRING,
+    validate: {
+      len: [0, 250],
+    },
+  },
+  archivedAt: {
+    type: DataTypes.DATE,
+  },
+  archivedById: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  type: {
+    type: DataTypes.ENUM('channel', 'dm', 'group_dm'),
+    defaultValue: 'channel',
+  },
+  dmKey: {
+    // Sorted participant ids, used to find an existing conversation
+    type: DataTypes.TEXT,
+  },
   lastMessageId: {
     type: DataTypes.UUID,
     references: {
@@ -49,14 +73,41 @@ const Channel = sequelize.define('Channel', {
   },
 }, {
   tableName: 'channels',
+  indexes: [
+    {
+      unique: true,
+      fields: ['team_id', 'dm_key'],
+    },
+  ],
   hooks: {
     beforeSave: (channel) => {
-      // Ensure channel name starts with #
-      if (!channel.name.startsWith('#')) {
+      // Ensure channel name starts with # (direct messages are unnamed)
+      if (channel.type === 'channel' && !channel.name.startsWith('#')) {
         channel.name = '#' + channel.name;
       }
     },
   },
 });
 
+// Build the lookup key for a direct message between a set of users
+Channel.buildDmKey = function(userIds) {
+  return [...new Set(userIds)].sort().join(':');
+};
+
+// Where clause for channels a user may see: public ones plus private ones they belong to
+Channel.visibleTo = function(userId) {
+  return {
+    [Op.or]: [
+      { isPrivate: false },
+      {
+        id: {
+          [Op.in]: sequelize.literal(
+            `(SELECT channel_id FROM channel_members WHERE user_id = ${sequelize.escape(userId)} AND deleted_at IS NULL)`
+          )
+        }
+      }
+    ]
+  };
+};
+
 module.exports = Channel; 
\ No newline at end of file
@@ -23,10 +23,30 @@ const ChannelMember = sequelize.define('ChannelMember', {
       key: 'id',
     },
   },
+  role: {
+    // Channel admins can remove members from the channel
+    type: DataTypes.ENUM('admin', 'member'),
+    defaultValue: 'member',
+  },
   joinedAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
   },
+  lastReadMessageId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'messages',
+      key: 'id',
+    },
+  },
+  lastReadAt: {
+    // Creation time of the last read message, compared against message timestamps
+    type: DataTypes.DATE,
+  },
+  mutedAt: {
+    // Muted members are only notified when mentioned by name
+    type: DataTypes.DATE,
+  },
 }, {
   tableName: 'channel_members',
   indexes: [
@@ -37,4 +57,29 @@ const ChannelMember = sequelize.define('ChannelMember', {
   ],
 });
 
+// Add a user to a channel, restoring a membership they previously left
+ChannelMember.addMember = async function(userId, channelId, options = {}) {
+  const existingMember = await ChannelMember.findOne({
+    where: { userId, channelId },
+    paranoid: false,
+    transaction: options.transaction
+  });
+
+  if (!existingMember) {
+    return ChannelMember.create({ userId, channelId }, { transaction: options.transaction });
+  }
+
+  if (existingMember.deletedAt) {
+    await existingMember.restore({ transaction: options.transaction });
+    await existingMember.update({
+      joinedAt: new Date(),
+      lastReadMessageId: null,
+      lastReadAt: null,
+      mutedAt: null
+    }, { transaction: options.transaction });
+  }
+
+  return existingMember;
+};
+
 module.exports = ChannelMember; 
\ No newline at end of file
@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// An archive of a channel's or a whole team's history, built in the background
+const Export = sequelize.define('Export', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  teamId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id',
+    },
+  },
+  channelId: {
+    // Empty when every channel of the team is exported
+    type: DataTypes.UUID,
+    references: {
+      model: 'channels',
+      key: 'id',
+    },
+  },
+  requestedById: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  format: {
+    type: DataTypes.ENUM('json', 'csv', 'html'),
+    allowNull: false,
+  },
+  // Only messages sent in this range are exported; either end may be open
+  startDate: {
+    type: DataTypes.DATE,
+  },
+  endDate: {
+    type: DataTypes.DATE,
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending',
+  },
+  storageKey: {
+    type: DataTypes.STRING,
+  },
+  fileName: {
+    type: DataTypes.STRING,
+  },
+  size: {
+    type: DataTypes.BIGINT,
+  },
+  channelCount: {
+    type: DataTypes.INTEGER,
+  },
+  messageCount: {
+    type: DataTypes.INTEGER,
+  },
+  // Why the export failed, e.g. the requester lost access to the team
+  error: {
+    type: DataTypes.STRING,
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'exports',
+  paranoid: false,
+  indexes: [
+    {
+      // Finding the next export to run
+      fields: ['status', 'created_at'],
+    },
+    {
+      fields: ['team_id', 'requested_by_id'],
+    },
+  ],
+});
+
+module.exports = Export;
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// An integration allowed to post into one channel through a secret URL
+const IncomingWebhook = sequelize.define('IncomingWebhook', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  teamId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id',
+    },
+  },
+  channelId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'channels',
+      key: 'id',
+    },
+  },
+  createdById: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  // Name and icon messages are posted under unless a request overrides them
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [1, 80],
+    },
+  },
+  iconUrl: {
+    type: DataTypes.STRING(2048),
+    validate: {
+      isUrl: {
+        args: { protocols: ['http', 'https'], require_protocol: true, require_tld: false },
+        msg: 'Icon URL must be an http or https URL',
+      },
+    },
+  },
+  // Only a hash of the URL token is stored
+  tokenHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'incoming_webhooks',
+});
+
+IncomingWebhook.generateToken = function() {
+  return crypto.randomBytes(32).toString('base64url');
+};
+
+IncomingWebhook.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+IncomingWebhook.prototype.toJSON = function() {
+  const webhook = { ...this.get() };
+  delete webhook.tokenHash;
+  return webhook;
+};
+
+module.exports = IncomingWebhook;
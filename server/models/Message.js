@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const MessageRevision = require('./MessageRevision');
 
 const Message = sequelize.define('Message', {
   id: {
@@ -15,8 +16,8 @@ const Message = sequelize.define('Message', {
     },
   },
   senderId: {
+    // Empty for messages posted by an incoming webhook
     type: DataTypes.UUID,
-    allowNull: false,
     references: {
       model: 'users',
       key: 'id',
@@ -39,7 +40,7 @@ const Message = sequelize.define('Message', {
     },
   },
   messageType: {
-    type: DataTypes.ENUM('text', 'file', 'image', 'system'),
+    type: DataTypes.ENUM('text', 'file', 'image', 'system', 'me'),
     defaultValue: 'text',
   },
   fileUrl: {
@@ -55,8 +56,109 @@ const Message = sequelize.define('Message', {
       key: 'id',
     },
   },
+  replyCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  lastReplyAt: {
+    type: DataTypes.DATE,
+  },
+  incomingWebhookId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'incoming_webhooks',
+      key: 'id',
+    },
+  },
+  // Set on responses that a custom slash command posted to the channel
+  slashCommandId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'slash_commands',
+      key: 'id',
+    },
+  },
+  // Display name and icon shown instead of a sender, for integration messages
+  senderName: {
+    type: DataTypes.STRING,
+  },
+  senderIconUrl: {
+    type: DataTypes.STRING(2048),
+  },
+  // Structured attachments posted by integrations: title, text, color, fields
+  embeds: {
+    type: DataTypes.JSONB,
+  },
+  // Flags messages from bots and integrations so clients can badge them
+  isBot: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return Boolean(this.get('incomingWebhookId') || this.get('slashCommandId')) ||
+        Boolean(this.sender && this.sender.isBot);
+    },
+  },
+  pinnedAt: {
+    type: DataTypes.DATE,
+  },
+  pinnedById: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
 }, {
   tableName: 'messages',
+  indexes: [
+    {
+      // Stable (createdAt, id) ordering for cursor pagination
+      fields: ['channel_id', 'created_at', 'id'],
+    },
+    {
+      // Listing and counting a channel's pins
+      fields: ['channel_id', 'pinned_at'],
+    },
+    {
+      // Expression index backing full-text search, kept current by PostgreSQL on every write
+      name: 'messages_content_search',
+      using: 'gin',
+      fields: [sequelize.literal("to_tsvector('english', content)")],
+    },
+  ],
+  hooks: {
+    beforeUpdate: async (message, options) => {
+      // Keep the text being replaced so edits can be audited
+      if (message.changed('content')) {
+        await MessageRevision.create({
+          messageId: message.id,
+          content: message.previous('content'),
+          postedAt: message.previous('editedAt') || message.createdAt
+        }, { transaction: options.transaction });
+      }
+    },
+    afterCreate: async (message, options) => {
+      if (message.parentMessageId) {
+        await Message.refreshThreadStats(message.parentMessageId, options);
+      }
+    },
+    afterDestroy: async (message, options) => {
+      if (message.parentMessageId) {
+        await Message.refreshThreadStats(message.parentMessageId, options);
+      }
+    },
+  },
 });
 
+// Recalculate reply count and last reply time for a thread parent
+Message.refreshThreadStats = async function(parentMessageId, options = {}) {
+  const where = { parentMessageId };
+  const replyCount = await Message.count({ where, transaction: options.transaction });
+  const lastReplyAt = await Message.max('createdAt', { where, transaction: options.transaction });
+
+  await Message.update(
+    { replyCount, lastReplyAt: lastReplyAt || null },
+    { where: { id: parentMessageId }, transaction: options.transaction }
+  );
+};
+
 module.exports = Message; 
\ No newline at end of file
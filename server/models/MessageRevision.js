@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A prior version of a message's content, recorded whenever the message is edited
+const MessageRevision = sequelize.define('MessageRevision', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  messageId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'messages',
+      key: 'id',
+    },
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  // When this content was first shown: message creation or the edit that introduced it
+  postedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+}, {
+  tableName: 'message_revisions',
+  paranoid: false,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['message_id', 'created_at'],
+    },
+  ],
+});
+
+module.exports = MessageRevision;
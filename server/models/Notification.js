@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  type: {
+    type: DataTypes.ENUM('mention', 'reminder'),
+    allowNull: false,
+  },
+  mentionType: {
+    // How the user was called out: @username, @channel or @here
+    type: DataTypes.ENUM('user', 'channel', 'here'),
+  },
+  actorId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  messageId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'messages',
+      key: 'id',
+    },
+  },
+  channelId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'channels',
+      key: 'id',
+    },
+  },
+  teamId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'teams',
+      key: 'id',
+    },
+  },
+  savedItemId: {
+    // The saved item a reminder is for, so it keeps its context once the message is gone
+    type: DataTypes.UUID,
+    references: {
+      model: 'saved_items',
+      key: 'id',
+    },
+    onDelete: 'SET NULL',
+  },
+  // Text of a reminder set with /remind
+  content: {
+    type: DataTypes.TEXT,
+  },
+  readAt: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'notifications',
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['user_id', 'read_at'],
+    },
+    {
+      fields: ['message_id'],
+    },
+  ],
+});
+
+module.exports = Notification;
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const OutgoingWebhook = sequelize.define('OutgoingWebhook', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  teamId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id',
+    },
+  },
+  createdById: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  url: {
+    type: DataTypes.STRING(2048),
+    allowNull: false,
+    validate: {
+      isUrl: {
+        args: { protocols: ['http', 'https'], require_protocol: true, require_tld: false },
+        msg: 'Webhook URL must be an http or https URL',
+      },
+    },
+  },
+  events: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: [],
+  },
+  // Shared secret used to sign deliveries
+  secret: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: () => OutgoingWebhook.generateSecret(),
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+}, {
+  tableName: 'outgoing_webhooks',
+  indexes: [
+    {
+      fields: ['team_id'],
+    },
+  ],
+});
+
+OutgoingWebhook.generateSecret = function() {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+// The secret is only returned when a webhook is created or its secret is rotated
+OutgoingWebhook.prototype.toJSON = function() {
+  const webhook = { ...this.get() };
+  delete webhook.secret;
+  return webhook;
+};
+
+module.exports = OutgoingWebhook;
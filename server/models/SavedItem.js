@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const SavedItem = sequelize.define('SavedItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  // Empty for reminders set with /remind, which carry a note instead
+  messageId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'messages',
+      key: 'id',
+    },
+  },
+  note: {
+    type: DataTypes.TEXT,
+  },
+  // Where a /remind reminder was set
+  channelId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'channels',
+      key: 'id',
+    },
+  },
+  remindAt: {
+    type: DataTypes.DATE,
+  },
+  remindedAt: {
+    // Set once the reminder has been delivered
+    type: DataTypes.DATE,
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'saved_items',
+  paranoid: false,
+  validate: {
+    messageOrNote() {
+      if (!this.messageId && !this.note) {
+        throw new Error('A saved item needs a message or a note');
+      }
+    },
+  },
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'message_id'],
+    },
+    {
+      // Finding reminders that are due
+      fields: ['remind_at', 'reminded_at'],
+    },
+  ],
+});
+
+module.exports = SavedItem;
@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A message written now and sent by the scheduler at `sendAt`
+const ScheduledMessage = sequelize.define('ScheduledMessage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  channelId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'channels',
+      key: 'id',
+    },
+  },
+  parentMessageId: {
+    // Set when the message will be a thread reply
+    type: DataTypes.UUID,
+    references: {
+      model: 'messages',
+      key: 'id',
+    },
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  sendAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  status: {
+    // `sending` while the scheduler posts it; `sent` once the message is stored
+    type: DataTypes.ENUM('pending', 'sending', 'sent', 'failed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending',
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+  },
+  // The message that was posted, once sent
+  messageId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'messages',
+      key: 'id',
+    },
+  },
+  // Why sending failed, e.g. the user left the channel
+  error: {
+    type: DataTypes.STRING,
+  },
+}, {
+  tableName: 'scheduled_messages',
+  paranoid: false,
+  indexes: [
+    {
+      // Finding messages that are due
+      fields: ['status', 'send_at'],
+    },
+    {
+      fields: ['user_id', 'status'],
+    },
+  ],
+});
+
+module.exports = ScheduledMessage;
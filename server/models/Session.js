@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  refreshTokenHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  previousRefreshTokenHash: {
+    // Last rotated-out token, kept to detect refresh token reuse
+    type: DataTypes.STRING,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+  },
+  deviceName: {
+    type: DataTypes.STRING,
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+  },
+  lastActiveAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'sessions',
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['user_id'],
+    },
+  ],
+});
+
+Session.prototype.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Remove token hashes from JSON output
+Session.prototype.toJSON = function() {
+  const session = { ...this.get() };
+  delete session.refreshTokenHash;
+  delete session.previousRefreshTokenHash;
+  return session;
+};
+
+module.exports = Session;
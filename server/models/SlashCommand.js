@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A team's custom slash command, answered by an HTTP endpoint
+const SlashCommand = sequelize.define('SlashCommand', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  teamId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id',
+    },
+  },
+  createdById: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  // Typed without the leading slash
+  name: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    validate: {
+      len: {
+        args: [1, 32],
+        msg: 'Command names must be at most 32 characters',
+      },
+      is: {
+        args: /^[a-z0-9_-]+$/,
+        msg: 'Command names may only contain lowercase letters, digits, - and _',
+      },
+    },
+  },
+  url: {
+    type: DataTypes.STRING(2048),
+    allowNull: false,
+    validate: {
+      isUrl: {
+        args: { protocols: ['http', 'https'], require_protocol: true, require_tld: false },
+        msg: 'Command URL must be an http or https URL',
+      },
+    },
+  },
+  description: {
+    type: DataTypes.STRING,
+    validate: {
+      len: {
+        args: [0, 255],
+        msg: 'Description must be at most 255 characters',
+      },
+    },
+  },
+  usageHint: {
+    type: DataTypes.STRING,
+    validate: {
+      len: {
+        args: [0, 255],
+        msg: 'Usage hint must be at most 255 characters',
+      },
+    },
+  },
+  // Shared secret used to sign requests to the endpoint
+  secret: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: () => SlashCommand.generateSecret(),
+  },
+}, {
+  tableName: 'slash_commands',
+  paranoid: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['team_id', 'name'],
+    },
+  ],
+});
+
+SlashCommand.generateSecret = function() {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+// The secret is only returned when a command is created or its secret is rotated
+SlashCommand.prototype.toJSON = function() {
+  const command = { ...this.get() };
+  delete command.secret;
+  return command;
+};
+
+module.exports = SlashCommand;
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const TeamInvite = sequelize.define('TeamInvite', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  teamId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id',
+    },
+  },
+  createdById: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  code: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  email: {
+    // When set, only the user with this email can redeem the invite
+    type: DataTypes.STRING,
+    validate: {
+      isEmail: true,
+    },
+  },
+  role: {
+    type: DataTypes.ENUM('admin', 'member', 'guest'),
+    defaultValue: 'member',
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+  },
+  maxUses: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 1,
+    },
+  },
+  useCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'team_invites',
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['team_id'],
+    },
+  ],
+  hooks: {
+    beforeValidate: (invite) => {
+      if (!invite.code) {
+        invite.code = TeamInvite.generateCode();
+      }
+      if (invite.email) {
+        invite.email = invite.email.toLowerCase();
+      }
+    },
+  },
+});
+
+TeamInvite.generateCode = function() {
+  return crypto.randomBytes(9).toString('base64url');
+};
+
+// Reason the invite can no longer be redeemed, or null if it is still valid
+TeamInvite.prototype.getInvalidReason = function() {
+  if (this.revokedAt) {
+    return 'INVITE_REVOKED';
+  }
+  if (this.expiresAt && this.expiresAt <= new Date()) {
+    return 'INVITE_EXPIRED';
+  }
+  if (this.maxUses && this.useCount >= this.maxUses) {
+    return 'INVITE_EXHAUSTED';
+  }
+  return null;
+};
+
+module.exports = TeamInvite;
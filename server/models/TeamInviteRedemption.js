@@ -0,0 +1,31 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const TeamInviteRedemption = sequelize.define('TeamInviteRedemption', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  inviteId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'team_invites',
+      key: 'id',
+    },
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+}, {
+  tableName: 'team_invite_redemptions',
+  paranoid: false,
+});
+
+module.exports = TeamInviteRedemption;
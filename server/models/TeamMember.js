@@ -24,7 +24,7 @@ const TeamMember = sequelize.define('TeamMember', {
     },
   },
   role: {
-    type: DataTypes.ENUM('admin', 'member'),
+    type: DataTypes.ENUM('admin', 'member', 'guest'),
     defaultValue: 'member',
   },
   joinedAt: {
@@ -9,8 +9,8 @@ const User = sequelize.define('User', {
     primaryKey: true,
   },
   email: {
+    // Bots have no email or password and cannot log in
     type: DataTypes.STRING,
-    allowNull: false,
     unique: true,
     validate: {
       isEmail: true,
@@ -26,7 +26,6 @@ const User = sequelize.define('User', {
   },
   password: {
     type: DataTypes.STRING,
-    allowNull: false,
     validate: {
       len: [6, 100],
     },
@@ -51,8 +50,34 @@ const User = sequelize.define('User', {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
   },
+  isBot: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  // Team that owns a bot account and the admin who created it
+  botTeamId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'teams',
+      key: 'id',
+    },
+  },
+  botCreatedById: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
 }, {
   tableName: 'users',
+  validate: {
+    humanCredentials() {
+      if (!this.isBot && (!this.email || !this.password)) {
+        throw new Error('Email and password are required');
+      }
+    },
+  },
   hooks: {
     beforeCreate: async (user) => {
       if (user.password) {
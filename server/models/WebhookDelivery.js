@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One event sent to one outgoing webhook, including its retries
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  webhookId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'outgoing_webhooks',
+      key: 'id',
+    },
+  },
+  event: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+    defaultValue: 'pending',
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+  },
+  // Outcome of the latest attempt
+  responseStatus: {
+    type: DataTypes.INTEGER,
+  },
+  responseBody: {
+    type: DataTypes.TEXT,
+  },
+  error: {
+    type: DataTypes.TEXT,
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+  },
+}, {
+  tableName: 'webhook_deliveries',
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['webhook_id', 'created_at'],
+    },
+    {
+      // Finding deliveries due for a retry
+      fields: ['status', 'next_attempt_at'],
+    },
+  ],
+});
+
+module.exports = WebhookDelivery;
@@ -8,6 +8,20 @@ const Message = require('./Message');
 const TeamMember = require('./TeamMember');
 const ChannelMember = require('./ChannelMember');
 const MessageReaction = require('./MessageReaction');
+const Attachment = require('./Attachment');
+const Notification = require('./Notification');
+const Session = require('./Session');
+const TeamInvite = require('./TeamInvite');
+const TeamInviteRedemption = require('./TeamInviteRedemption');
+const SavedItem = require('./SavedItem');
+const MessageRevision = require('./MessageRevision');
+const OutgoingWebhook = require('./OutgoingWebhook');
+const WebhookDelivery = require('./WebhookDelivery');
+const IncomingWebhook = require('./IncomingWebhook');
+const ApiToken = require('./ApiToken');
+const SlashCommand = require('./SlashCommand');
+const ScheduledMessage = require('./ScheduledMessage');
+const Export = require('./Export');
 
 // Define associations
 
@@ -33,6 +47,81 @@ Message.belongsTo(Channel, { foreignKey: 'channelId', as: 'channel' });
 Message.belongsTo(Team, { foreignKey: 'teamId', as: 'team' });
 Message.belongsTo(Message, { foreignKey: 'parentMessageId', as: 'parentMessage' });
 Message.hasMany(Message, { foreignKey: 'parentMessageId', as: 'replies' });
+Message.hasMany(Attachment, { foreignKey: 'messageId', as: 'attachments' });
+Message.belongsTo(User, { foreignKey: 'pinnedById', as: 'pinnedBy' });
+Message.hasMany(MessageRevision, { foreignKey: 'messageId', as: 'revisions' });
+MessageRevision.belongsTo(Message, { foreignKey: 'messageId', as: 'message' });
+
+// Attachment associations
+Attachment.belongsTo(Message, { foreignKey: 'messageId', as: 'message' });
+Attachment.belongsTo(Channel, { foreignKey: 'channelId', as: 'channel' });
+Attachment.belongsTo(User, { foreignKey: 'uploaderId', as: 'uploader' });
+
+// Team invite associations
+Team.hasMany(TeamInvite, { foreignKey: 'teamId', as: 'invites' });
+TeamInvite.belongsTo(Team, { foreignKey: 'teamId', as: 'team' });
+TeamInvite.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+TeamInvite.hasMany(TeamInviteRedemption, { foreignKey: 'inviteId', as: 'redemptions' });
+TeamInviteRedemption.belongsTo(TeamInvite, { foreignKey: 'inviteId', as: 'invite' });
+TeamInviteRedemption.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Session associations
+User.hasMany(Session, { foreignKey: 'userId', as: 'sessions' });
+Session.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Notification associations
+User.hasMany(Notification, { foreignKey: 'userId', as: 'notifications' });
+Notification.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Notification.belongsTo(User, { foreignKey: 'actorId', as: 'actor' });
+Notification.belongsTo(Message, { foreignKey: 'messageId', as: 'message' });
+Notification.belongsTo(Channel, { foreignKey: 'channelId', as: 'channel' });
+Notification.belongsTo(SavedItem, { foreignKey: 'savedItemId', as: 'savedItem' });
+
+// Outgoing webhook associations
+Team.hasMany(OutgoingWebhook, { foreignKey: 'teamId', as: 'outgoingWebhooks' });
+OutgoingWebhook.belongsTo(Team, { foreignKey: 'teamId', as: 'team' });
+OutgoingWebhook.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+OutgoingWebhook.hasMany(WebhookDelivery, { foreignKey: 'webhookId', as: 'deliveries' });
+WebhookDelivery.belongsTo(OutgoingWebhook, { foreignKey: 'webhookId', as: 'webhook' });
+
+// Incoming webhook associations
+Team.hasMany(IncomingWebhook, { foreignKey: 'teamId', as: 'incomingWebhooks' });
+IncomingWebhook.belongsTo(Team, { foreignKey: 'teamId', as: 'team' });
+IncomingWebhook.belongsTo(Channel, { foreignKey: 'channelId', as: 'channel' });
+IncomingWebhook.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+Message.belongsTo(IncomingWebhook, { foreignKey: 'incomingWebhookId', as: 'incomingWebhook' });
+
+// Bot and API token associations
+Team.hasMany(User, { foreignKey: 'botTeamId', as: 'bots' });
+User.belongsTo(Team, { foreignKey: 'botTeamId', as: 'botTeam' });
+User.belongsTo(User, { foreignKey: 'botCreatedById', as: 'botCreatedBy' });
+User.hasMany(ApiToken, { foreignKey: 'userId', as: 'apiTokens' });
+ApiToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+ApiToken.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+
+// Slash command associations
+Team.hasMany(SlashCommand, { foreignKey: 'teamId', as: 'slashCommands' });
+SlashCommand.belongsTo(Team, { foreignKey: 'teamId', as: 'team' });
+SlashCommand.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+Message.belongsTo(SlashCommand, { foreignKey: 'slashCommandId', as: 'slashCommand' });
+
+// Saved item associations
+User.hasMany(SavedItem, { foreignKey: 'userId', as: 'savedItems' });
+SavedItem.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+SavedItem.belongsTo(Message, { foreignKey: 'messageId', as: 'message' });
+SavedItem.belongsTo(Channel, { foreignKey: 'channelId', as: 'channel' });
+
+// Scheduled message associations
+User.hasMany(ScheduledMessage, { foreignKey: 'userId', as: 'scheduledMessages' });
+ScheduledMessage.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+ScheduledMessage.belongsTo(Channel, { foreignKey: 'channelId', as: 'channel' });
+ScheduledMessage.belongsTo(Message, { foreignKey: 'messageId', as: 'message' });
+
+// Export associations
+Team.hasMany(Export, { foreignKey: 'teamId', as: 'exports' });
+Export.belongsTo(Team, { foreignKey: 'teamId', as: 'team' });
+Export.belongsTo(Channel, { foreignKey: 'channelId', as: 'channel' });
+Export.belongsTo(User, { foreignKey: 'requestedById', as: 'requestedBy' });
 
 // Many-to-many associations through junction tables
 
@@ -98,4 +187,18 @@ module.exports = {
   TeamMember,
   ChannelMember,
   MessageReaction,
+  Attachment,
+  Notification,
+  Session,
+  TeamInvite,
+  TeamInviteRedemption,
+  SavedItem,
+  MessageRevision,
+  OutgoingWebhook,
+  WebhookDelivery,
+  IncomingWebhook,
+  ApiToken,
+  SlashCommand,
+  ScheduledMessage,
+  Export,
 }; 
\ No newline at end of file
@@ -0,0 +1,123 @@
+const { Team, TeamMember, ChannelMember } = require('../models');
+
+// Named permissions checked across REST routes and socket handlers
+const PERMISSIONS = {
+  CREATE_CHANNEL: 'channel:create',
+  MANAGE_CHANNELS: 'channel:manage',
+  JOIN_CHANNELS: 'channel:join',
+  MANAGE_MEMBERS: 'team:manage_members',
+  MANAGE_INVITES: 'team:manage_invites',
+  MANAGE_TEAM: 'team:manage',
+  MANAGE_INTEGRATIONS: 'team:manage_integrations',
+  EXPORT_DATA: 'team:export',
+  TRANSFER_OWNERSHIP: 'team:transfer_ownership',
+  DELETE_ANY_MESSAGE: 'message:delete_any',
+  VIEW_DELETED_MESSAGES: 'message:view_deleted'
+};
+
+const MEMBER_PERMISSIONS = [
+  PERMISSIONS.JOIN_CHANNELS
+];
+
+const ADMIN_PERMISSIONS = [
+  ...MEMBER_PERMISSIONS,
+  PERMISSIONS.CREATE_CHANNEL,
+  PERMISSIONS.MANAGE_CHANNELS,
+  PERMISSIONS.MANAGE_MEMBERS,
+  PERMISSIONS.MANAGE_INVITES,
+  PERMISSIONS.MANAGE_TEAM,
+  PERMISSIONS.MANAGE_INTEGRATIONS,
+  PERMISSIONS.EXPORT_DATA,
+  PERMISSIONS.DELETE_ANY_MESSAGE,
+  PERMISSIONS.VIEW_DELETED_MESSAGES
+];
+
+const ROLE_PERMISSIONS = {
+  owner: [...ADMIN_PERMISSIONS, PERMISSIONS.TRANSFER_OWNERSHIP],
+  admin: ADMIN_PERMISSIONS,
+  member: MEMBER_PERMISSIONS,
+  guest: []
+};
+
+// Effective role of a user in a team: the team owner, their TeamMember role, or null
+const getTeamRole = async (userId, teamOrId) => {
+  const team = typeof teamOrId === 'object' ? teamOrId : await Team.findByPk(teamOrId);
+  if (!team) {
+    return null;
+  }
+
+  if (team.ownerId === userId) {
+    return 'owner';
+  }
+
+  const teamMember = await TeamMember.findOne({
+    where: {
+      userId: userId,
+      teamId: team.id
+    }
+  });
+
+  return teamMember ? teamMember.role : null;
+};
+
+const roleHasPermission = (role, permission) => {
+  return Boolean(role && ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+};
+
+const hasPermission = async (userId, teamOrId, permission) => {
+  return roleHasPermission(await getTeamRole(userId, teamOrId), permission);
+};
+
+// Only the sender may change a message's content
+const canEditMessage = async (userId, message) => {
+  return message.senderId === userId;
+};
+
+// Senders can delete their own messages; moderators can delete anyone's
+const canDeleteMessage = async (userId, message) => {
+  if (message.senderId === userId) {
+    return true;
+  }
+  return hasPermission(userId, message.teamId, PERMISSIONS.DELETE_ANY_MESSAGE);
+};
+
+// Channel creators and channel managers can rename, archive and delete a channel. Creators
+// keep that right only while they are still in the team, and in the channel if it is private.
+const canManageChannel = async (userId, channel) => {
+  const role = await getTeamRole(userId, channel.teamId);
+  if (!role) {
+    return false;
+  }
+
+  if (roleHasPermission(role, PERMISSIONS.MANAGE_CHANNELS)) {
+    return true;
+  }
+
+  if (channel.createdById !== userId) {
+    return false;
+  }
+
+  if (!channel.isPrivate) {
+    return true;
+  }
+
+  const channelMember = await ChannelMember.findOne({
+    where: {
+      userId: userId,
+      channelId: channel.id
+    }
+  });
+
+  return Boolean(channelMember);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getTeamRole,
+  roleHasPermission,
+  hasPermission,
+  canEditMessage,
+  canDeleteMessage,
+  canManageChannel
+};
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { 
+  downloadAttachment, 
+  downloadThumbnail 
+} = require('../controllers/attachmentController');
+
+// @route   GET /api/attachments/:attachmentId
+// @desc    Download an attachment
+// @access  Private
+router.get('/:attachmentId', auth, downloadAttachment);
+
+// @route   GET /api/attachments/:attachmentId/thumbnail
+// @desc    Download an image attachment thumbnail
+// @access  Private
+router.get('/:attachmentId/thumbnail', auth, downloadThumbnail);
+
+module.exports = router;
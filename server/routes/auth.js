@@ -1,7 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const { register, login, getMe, updateProfile, logout } = require('../controllers/authController');
+const { 
+  register, 
+  login, 
+  getMe, 
+  updateProfile, 
+  refresh, 
+  logout, 
+  getSessions, 
+  revokeSessionById, 
+  revokeOtherSessions 
+} = require('../controllers/authController');
+const { createPersonalToken, getPersonalTokens, revokePersonalToken } = require('../controllers/apiTokenController');
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -23,9 +34,44 @@ router.get('/me', auth, getMe);
 // @access  Private
 router.put('/profile', auth, updateProfile);
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for new tokens
+// @access  Public
+router.post('/refresh', refresh);
+
 // @route   POST /api/auth/logout
 // @desc    Logout user
 // @access  Private
 router.post('/logout', auth, logout);
 
+// @route   GET /api/auth/sessions
+// @desc    Get user's active sessions
+// @access  Private
+router.get('/sessions', auth, getSessions);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', auth, revokeOtherSessions);
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke a session
+// @access  Private
+router.delete('/sessions/:sessionId', auth, revokeSessionById);
+
+// @route   POST /api/auth/tokens
+// @desc    Create a personal API token with scopes
+// @access  Private
+router.post('/tokens', auth, createPersonalToken);
+
+// @route   GET /api/auth/tokens
+// @desc    Get user's active API tokens
+// @access  Private
+router.get('/tokens', auth, getPersonalTokens);
+
+// @route   DELETE /api/auth/tokens/:tokenId
+// @desc    Revoke a personal API token
+// @access  Private
+router.delete('/tokens/:tokenId', auth, revokePersonalToken);
+
 module.exports = router; 
\ No newline at end of file
@@ -1,29 +1,62 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { uploadFile } = require('../middleware/upload');
+const requirePermission = require('../middleware/permission');
+const { PERMISSIONS } = require('../policies/permissions');
+const { SCOPES } = require('../services/apiTokenService');
 const { 
   createChannel, 
   getChannels, 
   getChannel, 
   joinChannel, 
   leaveChannel, 
-  getChannelMessages 
+  addChannelMembers,
+  removeChannelMember,
+  getChannelMessages,
+  getChannelPins,
+  markAsRead,
+  updateChannel,
+  archiveChannel,
+  unarchiveChannel,
+  deleteChannel
 } = require('../controllers/channelController');
+const { uploadAttachment } = require('../controllers/attachmentController');
 
 // @route   POST /api/channels
 // @desc    Create a new channel
 // @access  Private
-router.post('/', auth, createChannel);
+router.post('/', auth, requirePermission(PERMISSIONS.CREATE_CHANNEL, req => req.body.teamId), createChannel);
 
 // @route   GET /api/channels/team/:teamId
 // @desc    Get channels for a team
 // @access  Private
-router.get('/team/:teamId', auth, getChannels);
+router.get('/team/:teamId', auth.withScope(SCOPES.CHANNELS_READ), getChannels);
 
 // @route   GET /api/channels/:channelId
 // @desc    Get channel by ID
 // @access  Private
-router.get('/:channelId', auth, getChannel);
+router.get('/:channelId', auth.withScope(SCOPES.CHANNELS_READ, auth.channelFromParams), getChannel);
+
+// @route   PUT /api/channels/:channelId
+// @desc    Rename channel or set its topic and description
+// @access  Private
+router.put('/:channelId', auth, updateChannel);
+
+// @route   DELETE /api/channels/:channelId
+// @desc    Delete channel
+// @access  Private
+router.delete('/:channelId', auth, deleteChannel);
+
+// @route   POST /api/channels/:channelId/archive
+// @desc    Archive channel (makes it read-only)
+// @access  Private
+router.post('/:channelId/archive', auth, archiveChannel);
+
+// @route   POST /api/channels/:channelId/unarchive
+// @desc    Unarchive channel
+// @access  Private
+router.post('/:channelId/unarchive', auth, unarchiveChannel);
 
 // @route   POST /api/channels/:channelId/join
 // @desc    Join channel
@@ -35,9 +68,34 @@ router.post('/:channelId/join', auth, joinChannel);
 // @access  Private
 router.delete('/:channelId/leave', auth, leaveChannel);
 
+// @route   POST /api/channels/:channelId/members
+// @desc    Add teammates to a channel
+// @access  Private
+router.post('/:channelId/members', auth, addChannelMembers);
+
+// @route   DELETE /api/channels/:channelId/members/:userId
+// @desc    Remove a member from a channel
+// @access  Private
+router.delete('/:channelId/members/:userId', auth, removeChannelMember);
+
 // @route   GET /api/channels/:channelId/messages
 // @desc    Get channel messages
 // @access  Private
-router.get('/:channelId/messages', auth, getChannelMessages);
+router.get('/:channelId/messages', auth.withScope(SCOPES.MESSAGES_READ, auth.channelFromParams), getChannelMessages);
+
+// @route   GET /api/channels/:channelId/pins
+// @desc    Get pinned messages in a channel
+// @access  Private
+router.get('/:channelId/pins', auth.withScope(SCOPES.MESSAGES_READ, auth.channelFromParams), getChannelPins);
+
+// @route   POST /api/channels/:channelId/read
+// @desc    Mark channel as read up to a message (defaults to the latest)
+// @access  Private
+router.post('/:channelId/read', auth, markAsRead);
+
+// @route   POST /api/channels/:channelId/attachments
+// @desc    Upload a file or image to a channel
+// @access  Private
+router.post('/:channelId/attachments', auth, uploadFile('file'), uploadAttachment);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { openDm, getDms } = require('../controllers/dmController');
+
+// @route   POST /api/dms
+// @desc    Open a direct message or group DM (returns the existing one if present)
+// @access  Private
+router.post('/', auth, openDm);
+
+// @route   GET /api/dms/team/:teamId
+// @desc    Get user's direct messages in a team, most recent first
+// @access  Private
+router.get('/team/:teamId', auth, getDms);
+
+module.exports = router;
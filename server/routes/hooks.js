@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { postToIncomingWebhook } = require('../controllers/incomingWebhookController');
+
+// @route   POST /api/hooks/:token
+// @desc    Post a message to a channel through an incoming webhook
+// @access  Public (secret URL token)
+router.post('/:token', postToIncomingWebhook);
+
+module.exports = router;
@@ -1,31 +1,62 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { SCOPES } = require('../services/apiTokenService');
 const { 
   sendMessage, 
   editMessage, 
   deleteMessage, 
-  addReaction 
+  addReaction,
+  getMessageReplies,
+  getMessageReactions,
+  getMessageHistory,
+  pinMessage,
+  unpinMessage
 } = require('../controllers/messageController');
 
 // @route   POST /api/messages
 // @desc    Send a message
 // @access  Private
-router.post('/', auth, sendMessage);
+router.post('/', auth.withScope(SCOPES.MESSAGES_WRITE, auth.channelFromBody), sendMessage);
 
 // @route   PUT /api/messages/:messageId
 // @desc    Edit a message
 // @access  Private
-router.put('/:messageId', auth, editMessage);
+router.put('/:messageId', auth.withScope(SCOPES.MESSAGES_WRITE, auth.channelFromMessage), editMessage);
 
 // @route   DELETE /api/messages/:messageId
 // @desc    Delete a message
 // @access  Private
-router.delete('/:messageId', auth, deleteMessage);
+router.delete('/:messageId', auth.withScope(SCOPES.MESSAGES_WRITE, auth.channelFromMessage), deleteMessage);
 
 // @route   POST /api/messages/:messageId/reaction
 // @desc    Add/remove reaction to message
 // @access  Private
-router.post('/:messageId/reaction', auth, addReaction);
+router.post('/:messageId/reaction', auth.withScope(SCOPES.MESSAGES_WRITE, auth.channelFromMessage), addReaction);
+
+// @route   GET /api/messages/:messageId/reactions?emoji=
+// @desc    Get everyone who reacted to a message with an emoji
+// @access  Private
+router.get('/:messageId/reactions', auth.withScope(SCOPES.MESSAGES_READ, auth.channelFromMessage), getMessageReactions);
+
+// @route   GET /api/messages/:messageId/replies
+// @desc    Get thread replies for a message
+// @access  Private
+router.get('/:messageId/replies', auth.withScope(SCOPES.MESSAGES_READ, auth.channelFromMessage), getMessageReplies);
+
+// @route   GET /api/messages/:messageId/history
+// @desc    Get a message's edit history
+// @access  Private
+router.get('/:messageId/history', auth.withScope(SCOPES.MESSAGES_READ, auth.channelFromMessage), getMessageHistory);
+
+// @route   POST /api/messages/:messageId/pin
+// @desc    Pin a message to its channel
+// @access  Private
+router.post('/:messageId/pin', auth, pinMessage);
+
+// @route   DELETE /api/messages/:messageId/pin
+// @desc    Unpin a message
+// @access  Private
+router.delete('/:messageId/pin', auth, unpinMessage);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { 
+  getNotifications, 
+  markNotificationRead, 
+  markAllNotificationsRead 
+} = require('../controllers/notificationController');
+
+// @route   GET /api/notifications
+// @desc    Get user's notifications (?unread=true for unread only)
+// @access  Private
+router.get('/', auth, getNotifications);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', auth, markAllNotificationsRead);
+
+// @route   PUT /api/notifications/:notificationId/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:notificationId/read', auth, markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const {
+  saveMessage,
+  getSavedItems,
+  updateSavedItem,
+  completeSavedItem,
+  reopenSavedItem,
+  removeSavedItem
+} = require('../controllers/savedItemController');
+
+// @route   POST /api/saved
+// @desc    Save a message for later, optionally with a reminder
+// @access  Private
+router.post('/', auth, saveMessage);
+
+// @route   GET /api/saved
+// @desc    Get saved items (?status=active|completed|all)
+// @access  Private
+router.get('/', auth, getSavedItems);
+
+// @route   PUT /api/saved/:savedItemId
+// @desc    Set or clear a saved item's reminder
+// @access  Private
+router.put('/:savedItemId', auth, updateSavedItem);
+
+// @route   PUT /api/saved/:savedItemId/complete
+// @desc    Mark a saved item as completed
+// @access  Private
+router.put('/:savedItemId/complete', auth, completeSavedItem);
+
+// @route   PUT /api/saved/:savedItemId/reopen
+// @desc    Move a completed saved item back to the active list
+// @access  Private
+router.put('/:savedItemId/reopen', auth, reopenSavedItem);
+
+// @route   DELETE /api/saved/:savedItemId
+// @desc    Remove a saved item
+// @access  Private
+router.delete('/:savedItemId', auth, removeSavedItem);
+
+module.exports = router;
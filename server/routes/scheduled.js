@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const {
+  createScheduledMessage,
+  getScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage
+} = require('../controllers/scheduledMessageController');
+
+// @route   POST /api/scheduled
+// @desc    Schedule a message to be sent later
+// @access  Private
+router.post('/', auth, createScheduledMessage);
+
+// @route   GET /api/scheduled
+// @desc    Get scheduled messages (?status=pending|sent|failed|cancelled|all, ?channelId=)
+// @access  Private
+router.get('/', auth, getScheduledMessages);
+
+// @route   PUT /api/scheduled/:scheduledMessageId
+// @desc    Change a pending message's content or send time
+// @access  Private
+router.put('/:scheduledMessageId', auth, updateScheduledMessage);
+
+// @route   DELETE /api/scheduled/:scheduledMessageId
+// @desc    Cancel a pending scheduled message
+// @access  Private
+router.delete('/:scheduledMessageId', auth, cancelScheduledMessage);
+
+module.exports = router;
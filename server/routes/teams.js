@@ -1,14 +1,60 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { PERMISSIONS } = require('../policies/permissions');
+const { SCOPES } = require('../services/apiTokenService');
 const { 
   createTeam, 
   getTeams, 
   getTeam, 
   joinTeam, 
   generateInviteCode, 
-  leaveTeam 
+  leaveTeam,
+  updateMemberRole,
+  removeMember,
+  transferOwnership
 } = require('../controllers/teamController');
+const { searchMessages } = require('../controllers/searchController');
+const { createInvite, getInvites, revokeInvite } = require('../controllers/inviteController');
+const {
+  createWebhook,
+  getWebhooks,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  testWebhook,
+  getWebhookDeliveries
+} = require('../controllers/webhookController');
+const {
+  createIncomingWebhook,
+  getIncomingWebhooks,
+  updateIncomingWebhook,
+  rotateIncomingWebhookToken,
+  revokeIncomingWebhook
+} = require('../controllers/incomingWebhookController');
+const {
+  createBot,
+  getBots,
+  deleteBot,
+  createBotToken,
+  getBotTokens,
+  revokeBotToken
+} = require('../controllers/botController');
+const {
+  createSlashCommand,
+  getSlashCommands,
+  updateSlashCommand,
+  rotateSlashCommandSecret,
+  deleteSlashCommand
+} = require('../controllers/slashCommandController');
+const {
+  createExport,
+  getExports,
+  getExport,
+  downloadExport,
+  deleteExport
+} = require('../controllers/exportController');
 
 // @route   POST /api/teams
 // @desc    Create a new team
@@ -18,12 +64,12 @@ router.post('/', auth, createTeam);
 // @route   GET /api/teams
 // @desc    Get user's teams
 // @access  Private
-router.get('/', auth, getTeams);
+router.get('/', auth.withScope(SCOPES.CHANNELS_READ), getTeams);
 
 // @route   GET /api/teams/:teamId
 // @desc    Get team by ID
 // @access  Private
-router.get('/:teamId', auth, getTeam);
+router.get('/:teamId', auth.withScope(SCOPES.CHANNELS_READ), getTeam);
 
 // @route   POST /api/teams/join
 // @desc    Join team by invite code
@@ -31,13 +77,188 @@ router.get('/:teamId', auth, getTeam);
 router.post('/join', auth, joinTeam);
 
 // @route   POST /api/teams/:teamId/invite
-// @desc    Generate invite code
+// @desc    Replace the team's default invite code
 // @access  Private
-router.post('/:teamId/invite', auth, generateInviteCode);
+router.post('/:teamId/invite', auth, requirePermission(PERMISSIONS.MANAGE_INVITES), generateInviteCode);
+
+// @route   POST /api/teams/:teamId/invites
+// @desc    Create an invite with expiry, usage limit, email and role
+// @access  Private (admin)
+router.post('/:teamId/invites', auth, requirePermission(PERMISSIONS.MANAGE_INVITES), createInvite);
+
+// @route   GET /api/teams/:teamId/invites
+// @desc    List team invites and who redeemed them
+// @access  Private (admin)
+router.get('/:teamId/invites', auth, requirePermission(PERMISSIONS.MANAGE_INVITES), getInvites);
+
+// @route   DELETE /api/teams/:teamId/invites/:inviteId
+// @desc    Revoke an invite
+// @access  Private (admin)
+router.delete('/:teamId/invites/:inviteId', auth, requirePermission(PERMISSIONS.MANAGE_INVITES), revokeInvite);
+
+// @route   POST /api/teams/:teamId/webhooks
+// @desc    Register an outgoing webhook for team events
+// @access  Private (admin)
+router.post('/:teamId/webhooks', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), createWebhook);
+
+// @route   GET /api/teams/:teamId/webhooks
+// @desc    List the team's outgoing webhooks
+// @access  Private (admin)
+router.get('/:teamId/webhooks', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), getWebhooks);
+
+// @route   PUT /api/teams/:teamId/webhooks/:webhookId
+// @desc    Change a webhook's URL, events or active state
+// @access  Private (admin)
+router.put('/:teamId/webhooks/:webhookId', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), updateWebhook);
+
+// @route   DELETE /api/teams/:teamId/webhooks/:webhookId
+// @desc    Delete a webhook
+// @access  Private (admin)
+router.delete('/:teamId/webhooks/:webhookId', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), deleteWebhook);
+
+// @route   POST /api/teams/:teamId/webhooks/:webhookId/rotate-secret
+// @desc    Replace a webhook's signing secret
+// @access  Private (admin)
+router.post('/:teamId/webhooks/:webhookId/rotate-secret', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), rotateWebhookSecret);
+
+// @route   POST /api/teams/:teamId/webhooks/:webhookId/test
+// @desc    Send a ping event to a webhook
+// @access  Private (admin)
+router.post('/:teamId/webhooks/:webhookId/test', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), testWebhook);
+
+// @route   GET /api/teams/:teamId/webhooks/:webhookId/deliveries
+// @desc    Get a webhook's delivery log
+// @access  Private (admin)
+router.get('/:teamId/webhooks/:webhookId/deliveries', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), getWebhookDeliveries);
+
+// @route   POST /api/teams/:teamId/incoming-webhooks
+// @desc    Create an incoming webhook that posts into a channel
+// @access  Private (admin)
+router.post('/:teamId/incoming-webhooks', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), createIncomingWebhook);
+
+// @route   GET /api/teams/:teamId/incoming-webhooks
+// @desc    List the team's incoming webhooks
+// @access  Private (admin)
+router.get('/:teamId/incoming-webhooks', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), getIncomingWebhooks);
+
+// @route   PUT /api/teams/:teamId/incoming-webhooks/:webhookId
+// @desc    Change an incoming webhook's channel, name or icon
+// @access  Private (admin)
+router.put('/:teamId/incoming-webhooks/:webhookId', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), updateIncomingWebhook);
+
+// @route   POST /api/teams/:teamId/incoming-webhooks/:webhookId/rotate-token
+// @desc    Replace an incoming webhook's secret URL
+// @access  Private (admin)
+router.post('/:teamId/incoming-webhooks/:webhookId/rotate-token', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), rotateIncomingWebhookToken);
+
+// @route   DELETE /api/teams/:teamId/incoming-webhooks/:webhookId
+// @desc    Revoke an incoming webhook
+// @access  Private (admin)
+router.delete('/:teamId/incoming-webhooks/:webhookId', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), revokeIncomingWebhook);
+
+// @route   POST /api/teams/:teamId/bots
+// @desc    Create a bot account owned by the team
+// @access  Private (admin)
+router.post('/:teamId/bots', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), createBot);
+
+// @route   GET /api/teams/:teamId/bots
+// @desc    List the team's bots
+// @access  Private (admin)
+router.get('/:teamId/bots', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), getBots);
+
+// @route   DELETE /api/teams/:teamId/bots/:botId
+// @desc    Remove a bot from the team and revoke its tokens
+// @access  Private (admin)
+router.delete('/:teamId/bots/:botId', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), deleteBot);
+
+// @route   POST /api/teams/:teamId/bots/:botId/tokens
+// @desc    Issue a scoped API token for a bot
+// @access  Private (admin)
+router.post('/:teamId/bots/:botId/tokens', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), createBotToken);
+
+// @route   GET /api/teams/:teamId/bots/:botId/tokens
+// @desc    List a bot's active API tokens
+// @access  Private (admin)
+router.get('/:teamId/bots/:botId/tokens', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), getBotTokens);
+
+// @route   DELETE /api/teams/:teamId/bots/:botId/tokens/:tokenId
+// @desc    Revoke a bot's API token
+// @access  Private (admin)
+router.delete('/:teamId/bots/:botId/tokens/:tokenId', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), revokeBotToken);
+
+// @route   POST /api/teams/:teamId/commands
+// @desc    Register a custom slash command answered by an HTTP endpoint
+// @access  Private (admin)
+router.post('/:teamId/commands', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), createSlashCommand);
+
+// @route   GET /api/teams/:teamId/commands
+// @desc    List the team's custom slash commands
+// @access  Private (admin)
+router.get('/:teamId/commands', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), getSlashCommands);
+
+// @route   PUT /api/teams/:teamId/commands/:commandId
+// @desc    Change a command's name, URL, description or usage hint
+// @access  Private (admin)
+router.put('/:teamId/commands/:commandId', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), updateSlashCommand);
+
+// @route   POST /api/teams/:teamId/commands/:commandId/rotate-secret
+// @desc    Replace a command's signing secret
+// @access  Private (admin)
+router.post('/:teamId/commands/:commandId/rotate-secret', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), rotateSlashCommandSecret);
+
+// @route   DELETE /api/teams/:teamId/commands/:commandId
+// @desc    Delete a custom slash command
+// @access  Private (admin)
+router.delete('/:teamId/commands/:commandId', auth, requirePermission(PERMISSIONS.MANAGE_INTEGRATIONS), deleteSlashCommand);
+
+// @route   POST /api/teams/:teamId/exports
+// @desc    Request an export of a channel or the whole team
+// @access  Private (admin)
+router.post('/:teamId/exports', auth, requirePermission(PERMISSIONS.EXPORT_DATA), createExport);
+
+// @route   GET /api/teams/:teamId/exports
+// @desc    List the exports the user requested
+// @access  Private (admin)
+router.get('/:teamId/exports', auth, requirePermission(PERMISSIONS.EXPORT_DATA), getExports);
+
+// @route   GET /api/teams/:teamId/exports/:exportId
+// @desc    Get an export's status
+// @access  Private (admin)
+router.get('/:teamId/exports/:exportId', auth, requirePermission(PERMISSIONS.EXPORT_DATA), getExport);
+
+// @route   GET /api/teams/:teamId/exports/:exportId/download
+// @desc    Download a completed export archive
+// @access  Private (admin)
+router.get('/:teamId/exports/:exportId/download', auth, requirePermission(PERMISSIONS.EXPORT_DATA), downloadExport);
+
+// @route   DELETE /api/teams/:teamId/exports/:exportId
+// @desc    Delete an export and its archive
+// @access  Private (admin)
+router.delete('/:teamId/exports/:exportId', auth, requirePermission(PERMISSIONS.EXPORT_DATA), deleteExport);
 
 // @route   DELETE /api/teams/:teamId/leave
 // @desc    Leave team
 // @access  Private
 router.delete('/:teamId/leave', auth, leaveTeam);
 
+// @route   PUT /api/teams/:teamId/members/:userId/role
+// @desc    Promote or demote a team member
+// @access  Private (admin)
+router.put('/:teamId/members/:userId/role', auth, requirePermission(PERMISSIONS.MANAGE_MEMBERS), updateMemberRole);
+
+// @route   DELETE /api/teams/:teamId/members/:userId
+// @desc    Remove a member from the team and its channels
+// @access  Private (admin)
+router.delete('/:teamId/members/:userId', auth, requirePermission(PERMISSIONS.MANAGE_MEMBERS), removeMember);
+
+// @route   POST /api/teams/:teamId/transfer-ownership
+// @desc    Transfer team ownership to another admin
+// @access  Private (owner)
+router.post('/:teamId/transfer-ownership', auth, requirePermission(PERMISSIONS.TRANSFER_OWNERSHIP), transferOwnership);
+
+// @route   GET /api/teams/:teamId/search
+// @desc    Search messages in channels the user belongs to
+// @access  Private
+router.get('/:teamId/search', auth, searchMessages);
+
 module.exports = router; 
\ No newline at end of file
@@ -18,7 +18,7 @@ const initDatabase = async () => {
     console.log('🔄 Seeding initial data...');
     
     // Import models for seeding
-    const { User, Team, Channel, TeamMember, ChannelMember } = require('../models');
+    const { User, Team, Channel, TeamMember, ChannelMember, TeamInvite } = require('../models');
 
     // Create demo users
     const demoUsers = await User.bulkCreate([
@@ -58,6 +58,12 @@ const initDatabase = async () => {
     demoTeam.generateInviteCode();
     await demoTeam.save();
 
+    await TeamInvite.create({
+      teamId: demoTeam.id,
+      createdById: demoUsers[0].id,
+      code: demoTeam.inviteCode,
+    });
+
     console.log('✅ Demo team created.');
 
     // Add users to team
@@ -0,0 +1,177 @@
+const { ApiToken, User, Message, TeamMember } = require('../models');
+const { Op } = require('sequelize');
+const { MessageServiceError } = require('./messageService');
+
+// What an API token may do. Session logins are not limited by scopes.
+const SCOPES = {
+  CHANNELS_READ: 'channels:read',
+  MESSAGES_READ: 'messages:read',
+  MESSAGES_WRITE: 'messages:write'
+};
+
+const ALL_SCOPES = Object.values(SCOPES);
+
+// Avoid writing lastUsedAt on every single request
+const USAGE_UPDATE_INTERVAL = 60 * 1000;
+
+const isApiToken = (token) => {
+  return typeof token === 'string' && token.startsWith(ApiToken.TOKEN_PREFIX);
+};
+
+// Validate scopes, channel limits and expiry for a new token. Returns { error } or { options }.
+const parseTokenOptions = ({ name, scopes, channelIds, expiresAt }) => {
+  if (!name || !String(name).trim()) {
+    return { error: 'Name is required' };
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: `scopes must be a non-empty array of: ${ALL_SCOPES.join(', ')}` };
+  }
+
+  const unknownScopes = scopes.filter(scope => !ALL_SCOPES.includes(scope));
+  if (unknownScopes.length > 0) {
+    return { error: `Unknown scopes: ${unknownScopes.join(', ')}` };
+  }
+
+  if (channelIds !== undefined && channelIds !== null &&
+      (!Array.isArray(channelIds) || channelIds.length === 0)) {
+    return { error: 'channelIds must be a non-empty array when given' };
+  }
+
+  let expiry = null;
+  if (expiresAt) {
+    expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return { error: 'Expiry must be a time in the future' };
+    }
+  }
+
+  return {
+    options: {
+      name: String(name).trim(),
+      scopes: [...new Set(scopes)],
+      channelIds: channelIds ? [...new Set(channelIds)] : null,
+      expiresAt: expiry
+    }
+  };
+};
+
+// Issue a token acting as `userId`. The plain token is only available here.
+const createApiToken = async (userId, createdById, options) => {
+  const token = ApiToken.generateToken();
+
+  const apiToken = await ApiToken.create({
+    ...options,
+    userId,
+    createdById,
+    tokenHash: ApiToken.hashToken(token),
+    tokenPreview: token.slice(0, ApiToken.TOKEN_PREFIX.length + 6)
+  });
+
+  return { apiToken, token };
+};
+
+// Disconnect sockets opened with a token, e.g. after it is revoked
+const disconnectApiToken = (apiTokenId, io) => {
+  io.in(`api-token-${apiTokenId}`).disconnectSockets(true);
+};
+
+const revokeApiToken = async (apiToken, io) => {
+  if (!apiToken.revokedAt) {
+    await apiToken.update({ revokedAt: new Date() });
+  }
+  disconnectApiToken(apiToken.id, io);
+};
+
+// Resolve an API token to its user and token record, or null if it is invalid, expired or revoked
+const verifyApiToken = async (token) => {
+  const apiToken = await ApiToken.findOne({
+    where: { tokenHash: ApiToken.hashToken(token) }
+  });
+
+  if (!apiToken || !apiToken.isActive()) {
+    return null;
+  }
+
+  const user = await User.findByPk(apiToken.userId);
+  if (!user) {
+    return null;
+  }
+
+  // A bot only works while it still belongs to its team
+  if (user.isBot) {
+    const teamMember = await TeamMember.findOne({
+      where: {
+        userId: user.id,
+        teamId: user.botTeamId
+      }
+    });
+
+    if (!teamMember) {
+      return null;
+    }
+  }
+
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() >= USAGE_UPDATE_INTERVAL) {
+    await apiToken.update({ lastUsedAt: new Date() });
+  }
+
+  return { user, apiToken };
+};
+
+// Why a token may not perform `scope` in a channel, or null if it may
+const getTokenDenial = (apiToken, scope, channelId) => {
+  if (!apiToken.scopes.includes(scope)) {
+    return `This token is missing the ${scope} scope`;
+  }
+
+  if (apiToken.channelIds && channelId !== undefined &&
+      !apiToken.channelIds.includes(channelId)) {
+    return 'This token is not allowed in this channel';
+  }
+
+  return null;
+};
+
+// Where clause that limits channel listings to the channels a token may use
+const tokenChannelWhere = (apiToken) => {
+  return apiToken && apiToken.channelIds ? { id: { [Op.in]: apiToken.channelIds } } : {};
+};
+
+// Whether listings may show message content, e.g. a channel's last message. Channel-limited
+// tokens don't see it either, as team-wide listings aren't checked against their channels.
+const canReadListedMessages = (apiToken) => {
+  return !apiToken || (!apiToken.channelIds && apiToken.scopes.includes(SCOPES.MESSAGES_READ));
+};
+
+// Throw the same 403 the REST middleware sends when a token lacks access
+const assertTokenAccess = (apiToken, scope, channelId) => {
+  const denial = apiToken && getTokenDenial(apiToken, scope, channelId);
+  if (denial) {
+    throw new MessageServiceError(403, denial);
+  }
+};
+
+// The channel a message lives in, for checking channel-limited tokens
+const getMessageChannelId = async (messageId) => {
+  const message = messageId && await Message.findByPk(messageId, {
+    attributes: ['id', 'channelId'],
+    paranoid: false
+  });
+  return message ? message.channelId : null;
+};
+
+module.exports = {
+  SCOPES,
+  ALL_SCOPES,
+  isApiToken,
+  parseTokenOptions,
+  createApiToken,
+  revokeApiToken,
+  verifyApiToken,
+  getTokenDenial,
+  tokenChannelWhere,
+  canReadListedMessages,
+  assertTokenAccess,
+  getMessageChannelId
+};
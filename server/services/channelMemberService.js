@@ -0,0 +1,73 @@
+const { User, TeamMember, ChannelMember } = require('../models');
+const { Op } = require('sequelize');
+const { MessageServiceError } = require('./messageService');
+const { postSystemMessage } = require('./systemMessageService');
+
+// Add teammates to a channel on behalf of `actor`, announcing it in the channel.
+// Returns the users that were added.
+const addChannelMembers = async (actor, channel, userIds, io) => {
+  // Only teammates can be added
+  const teamMembers = await TeamMember.findAll({
+    where: {
+      teamId: channel.teamId,
+      userId: { [Op.in]: userIds }
+    },
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: ['id', 'firstName', 'lastName', 'username']
+    }]
+  });
+
+  if (teamMembers.length !== new Set(userIds).size) {
+    throw new MessageServiceError(400, 'All users must be members of the team');
+  }
+
+  const existingMembers = await ChannelMember.findAll({
+    where: {
+      channelId: channel.id,
+      userId: { [Op.in]: userIds }
+    },
+    attributes: ['userId']
+  });
+  const existingUserIds = new Set(existingMembers.map(member => member.userId));
+
+  const addedUsers = teamMembers
+    .filter(member => !existingUserIds.has(member.userId))
+    .map(member => member.user);
+
+  if (addedUsers.length === 0) {
+    throw new MessageServiceError(400, 'Users are already members of this channel');
+  }
+
+  for (const user of addedUsers) {
+    await ChannelMember.addMember(user.id, channel.id);
+  }
+
+  const usernames = addedUsers.map(user => user.username).join(', ');
+  await postSystemMessage(channel, actor.id, `${actor.username} added ${usernames} to the channel`, io);
+
+  for (const user of addedUsers) {
+    io.to(`channel-${channel.id}`).emit('channel-member-added', { channelId: channel.id, user });
+    io.to(`user-${user.id}`).emit('added-to-channel', channel);
+  }
+
+  return addedUsers;
+};
+
+// Remove a user from a channel and stop their sockets receiving its events
+const leaveChannel = async (userId, channel, io) => {
+  await ChannelMember.destroy({
+    where: {
+      userId: userId,
+      channelId: channel.id
+    }
+  });
+
+  io.in(`user-${userId}`).socketsLeave(`channel-${channel.id}`);
+};
+
+module.exports = {
+  addChannelMembers,
+  leaveChannel
+};
@@ -0,0 +1,419 @@
+const { SlashCommand, User, ChannelMember, SavedItem } = require('../models');
+const { Op } = require('sequelize');
+const messageService = require('./messageService');
+const { MessageServiceError, findMemberChannel } = messageService;
+const { postSystemMessage } = require('./systemMessageService');
+const channelMemberService = require('./channelMemberService');
+const { signPayload } = require('./webhookService');
+const { parseIncomingPayload } = require('./incomingWebhookService');
+const { checkOutboundUrl } = require('./outboundUrlService');
+
+const COMMAND_TIMEOUT = parseInt(process.env.SLASH_COMMAND_TIMEOUT) || 3 * 1000;
+const MAX_TOPIC_LENGTH = 250;
+const MAX_REMINDER_DAYS = 365;
+
+// "/name" followed by optional arguments; "/tmp/file" and the like stay ordinary text
+const COMMAND_PATTERN = /^\/([a-z0-9_-]+)(?:\s+([\s\S]*))?$/i;
+
+const REMINDER_UNITS = {
+  m: 60 * 1000,
+  min: 60 * 1000,
+  mins: 60 * 1000,
+  minute: 60 * 1000,
+  minutes: 60 * 1000,
+  h: 60 * 60 * 1000,
+  hr: 60 * 60 * 1000,
+  hrs: 60 * 60 * 1000,
+  hour: 60 * 60 * 1000,
+  hours: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000
+};
+const REMINDER_DELAY = '(\\d+)\\s*(' + Object.keys(REMINDER_UNITS).join('|') + ')';
+
+// Split composer text into a command name and its arguments, or null for ordinary messages
+const parseCommand = (content) => {
+  const match = typeof content === 'string' && content.trim().match(COMMAND_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    name: match[1].toLowerCase(),
+    args: (match[2] || '').trim()
+  };
+};
+
+const isCommand = (content) => parseCommand(content) !== null;
+
+// Commands can change channels and call out to integrations, which no token scope
+// covers, so API tokens may only post plain messages
+const assertCanRunCommands = (apiToken) => {
+  if (apiToken) {
+    throw new MessageServiceError(403, 'API tokens cannot run slash commands');
+  }
+};
+
+const ephemeral = (text, embeds) => ({ responseType: 'ephemeral', text, embeds: embeds || [] });
+const inChannel = (message) => ({ responseType: 'in_channel', message });
+
+const channelLabel = (channel) => {
+  return channel.type === 'channel' ? channel.name : 'this conversation';
+};
+
+// Commands that manage channel membership or settings don't apply to DMs
+const requireChannel = (channel, name) => {
+  if (channel.type !== 'channel') {
+    throw new MessageServiceError(400, `/${name} only works in channels`);
+  }
+};
+
+// "[me] <what> in <n> <unit>" or "[me] in <n> <unit> <what>". Returns null if no delay is given.
+const parseReminder = (args) => {
+  const text = args.replace(/^me\s+/i, '');
+  const trailing = text.match(new RegExp(`^([\\s\\S]*?)\\s*\\bin\\s+${REMINDER_DELAY}\\.?$`, 'i'));
+  const leading = text.match(new RegExp(`^in\\s+${REMINDER_DELAY}\\b\\s*([\\s\\S]*)$`, 'i'));
+
+  let amount, unit, note;
+  if (trailing) {
+    [, note, amount, unit] = trailing;
+  } else if (leading) {
+    [, amount, unit, note] = leading;
+  } else {
+    return null;
+  }
+
+  return {
+    note: note.replace(/^to\s+/i, '').trim(),
+    delay: parseInt(amount) * REMINDER_UNITS[unit.toLowerCase()],
+    when: `in ${amount}${unit.length === 1 ? unit : ' ' + unit}`
+  };
+};
+
+const BUILTIN_COMMANDS = {
+  topic: {
+    usage: '/topic [text]',
+    description: 'Show or set the channel topic',
+    run: async ({ user, channel, args, io }) => {
+      requireChannel(channel, 'topic');
+
+      if (!args) {
+        return ephemeral(channel.topic
+          ? `The topic of ${channel.name} is: ${channel.topic}`
+          : `${channel.name} has no topic. Set one with /topic <text>`);
+      }
+
+      if (args.length > MAX_TOPIC_LENGTH) {
+        throw new MessageServiceError(400, `Topic cannot exceed ${MAX_TOPIC_LENGTH} characters`);
+      }
+
+      await channel.update({ topic: args });
+
+      const message = await postSystemMessage(channel, user.id, `${user.username} set the channel topic: ${args}`, io);
+
+      io.to(`channel-${channel.id}`).emit('channel-updated', channel);
+      if (!channel.isPrivate) {
+        io.to(`team-${channel.teamId}`).emit('channel-updated', channel);
+      }
+
+      return inChannel(message);
+    }
+  },
+
+  invite: {
+    usage: '/invite @user [@user ...]',
+    description: 'Add teammates to the channel',
+    run: async ({ user, channel, args, io }) => {
+      requireChannel(channel, 'invite');
+
+      const usernames = [...new Set(
+        args.split(/[\s,]+/).map(name => name.replace(/^@/, '')).filter(Boolean)
+      )];
+
+      if (usernames.length === 0) {
+        throw new MessageServiceError(400, 'Usage: /invite @user [@user ...]');
+      }
+
+      const users = await User.findAll({
+        where: { username: { [Op.in]: usernames } },
+        attributes: ['id', 'username']
+      });
+
+      const unknown = usernames.filter(name => !users.some(found => found.username === name));
+      if (unknown.length > 0) {
+        throw new MessageServiceError(404, `No user named ${unknown.map(name => '@' + name).join(', ')}`);
+      }
+
+      const addedUsers = await channelMemberService.addChannelMembers(
+        user,
+        channel,
+        users.map(found => found.id),
+        io
+      );
+
+      return ephemeral(`Added ${addedUsers.map(added => '@' + added.username).join(', ')} to ${channel.name}`);
+    }
+  },
+
+  leave: {
+    usage: '/leave',
+    description: 'Leave the channel',
+    run: async ({ user, channel, io }) => {
+      requireChannel(channel, 'leave');
+
+      await channelMemberService.leaveChannel(user.id, channel, io);
+
+      return ephemeral(`You left ${channel.name}`);
+    }
+  },
+
+  mute: {
+    usage: '/mute',
+    description: 'Mute or unmute @channel and @here notifications',
+    run: async ({ user, channel, io }) => {
+      const channelMember = await ChannelMember.findOne({
+        where: {
+          userId: user.id,
+          channelId: channel.id
+        }
+      });
+
+      const muted = !channelMember.mutedAt;
+      await channelMember.update({ mutedAt: muted ? new Date() : null });
+
+      // Sync the muted state to the user's other devices
+      io.to(`user-${user.id}`).emit('channel-muted', { channelId: channel.id, muted });
+
+      return ephemeral(muted
+        ? `Muted ${channelLabel(channel)}. You'll only be notified when someone mentions you by name. Type /mute again to unmute.`
+        : `Unmuted ${channelLabel(channel)}.`);
+    }
+  },
+
+  remind: {
+    usage: '/remind [me] <what> in <number> <minutes|hours|days>',
+    description: 'Set a reminder for yourself',
+    run: async ({ user, channel, args }) => {
+      const reminder = parseReminder(args);
+
+      if (!reminder || !reminder.note) {
+        throw new MessageServiceError(400, 'Usage: /remind [me] <what> in <number> <minutes|hours|days>');
+      }
+
+      if (reminder.delay <= 0 || reminder.delay > MAX_REMINDER_DAYS * REMINDER_UNITS.day) {
+        throw new MessageServiceError(400, `Reminders can be set up to ${MAX_REMINDER_DAYS} days ahead`);
+      }
+
+      // Stored as a saved item so it shows up, and can be changed, alongside saved messages
+      await SavedItem.create({
+        userId: user.id,
+        note: reminder.note,
+        channelId: channel.id,
+        remindAt: new Date(Date.now() + reminder.delay)
+      });
+
+      return ephemeral(`OK, I'll remind you ${reminder.when}: ${reminder.note}`);
+    }
+  },
+
+  me: {
+    usage: '/me <action>',
+    description: 'Post an action, like "/me is stepping out"',
+    run: async ({ user, channel, args, parentMessageId, io }) => {
+      if (!args) {
+        throw new MessageServiceError(400, 'Usage: /me <action>');
+      }
+
+      const message = await messageService.sendMessage(user.id, {
+        content: args,
+        channelId: channel.id,
+        parentMessageId,
+        messageType: 'me'
+      }, io);
+
+      return inChannel(message);
+    }
+  }
+};
+
+const BUILTIN_COMMAND_NAMES = Object.keys(BUILTIN_COMMANDS);
+
+// Turn an endpoint's JSON answer into a response. Anything else is never echoed back, so a
+// command can't be used to read pages the server can reach.
+const parseCustomResponse = async (slashCommand, channel, body, io) => {
+  const name = `/${slashCommand.name}`;
+
+  let payload;
+  try {
+    payload = JSON.parse(body);
+  } catch (error) {
+    return ephemeral(`${name} returned an invalid response`);
+  }
+
+  try {
+    // Same text, username, icon and attachment format incoming webhooks accept
+    const fields = parseIncomingPayload(payload, { id: null, name, iconUrl: null });
+
+    if ((payload.response_type || payload.responseType) === 'in_channel') {
+      const message = await messageService.postIntegrationMessage(channel, {
+        ...fields,
+        incomingWebhookId: null,
+        slashCommandId: slashCommand.id
+      }, io);
+
+      return inChannel(message);
+    }
+
+    return ephemeral(fields.content, fields.embeds);
+  } catch (error) {
+    if (error instanceof MessageServiceError) {
+      return ephemeral(`${name} returned an invalid response: ${error.message}`);
+    }
+    throw error;
+  }
+};
+
+// Call a team's command endpoint with a signed request, like outgoing webhooks
+const runCustomCommand = async (slashCommand, { user, channel, args, parentMessageId, io }) => {
+  const name = `/${slashCommand.name}`;
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const body = JSON.stringify({
+    command: name,
+    text: args,
+    teamId: channel.teamId,
+    channelId: channel.id,
+    channelName: channel.name,
+    parentMessageId: parentMessageId || null,
+    userId: user.id,
+    username: user.username
+  });
+
+  // Endpoints on this machine or a private network are refused, like webhook receivers
+  if (await checkOutboundUrl(slashCommand.url)) {
+    return ephemeral(`${name} could not be reached`);
+  }
+
+  let response;
+  try {
+    response = await fetch(slashCommand.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'HuddleUp-Commands/1.0',
+        'X-HuddleUp-Command': name,
+        'X-HuddleUp-Timestamp': timestamp,
+        'X-HuddleUp-Signature': signPayload(slashCommand.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(COMMAND_TIMEOUT)
+    });
+  } catch (error) {
+    return ephemeral(error.name === 'TimeoutError'
+      ? `${name} didn't respond in time`
+      : `${name} could not be reached`);
+  }
+
+  if (!response.ok) {
+    return ephemeral(`${name} failed with status ${response.status}`);
+  }
+
+  const responseBody = await response.text();
+
+  // An empty answer acknowledges the command without showing anything
+  if (!responseBody.trim()) {
+    return ephemeral(null);
+  }
+
+  return parseCustomResponse(slashCommand, channel, responseBody, io);
+};
+
+const unknownCommandError = async (name, teamId) => {
+  const customCommands = await SlashCommand.findAll({
+    where: { teamId },
+    attributes: ['name'],
+    order: [['name', 'ASC']]
+  });
+
+  const available = [...[...BUILTIN_COMMAND_NAMES].sort(), ...customCommands.map(command => command.name)];
+
+  return new MessageServiceError(
+    400,
+    `Unknown command /${name}. Available commands: ${available.map(command => '/' + command).join(', ')}`
+  );
+};
+
+// Show an ephemeral response only to the invoker: on the socket that ran the command,
+// or on all of their sockets when it came over REST
+const deliverEphemeral = (user, result, io, socket) => {
+  if (!result.text && result.embeds.length === 0) {
+    return;
+  }
+
+  const target = socket || io.to(`user-${user.id}`);
+  target.emit('command-response', {
+    command: result.command,
+    channelId: result.channelId,
+    parentMessageId: result.parentMessageId,
+    text: result.text,
+    embeds: result.embeds,
+    createdAt: new Date()
+  });
+};
+
+// Run a "/command args" typed into the composer in place of sending it as a message.
+// Returns { command, channelId, parentMessageId, responseType } with `text` and `embeds`
+// for ephemeral responses or the posted `message` for in-channel ones.
+const runCommand = async (user, { content, channelId, parentMessageId }, io, socket) => {
+  const { name, args } = parseCommand(content);
+
+  const channel = await findMemberChannel(user.id, channelId, { writable: true });
+
+  const context = {
+    user,
+    channel,
+    args,
+    parentMessageId: parentMessageId || null,
+    io
+  };
+
+  let response;
+  if (BUILTIN_COMMANDS[name]) {
+    response = await BUILTIN_COMMANDS[name].run(context);
+  } else {
+    const slashCommand = await SlashCommand.findOne({
+      where: {
+        teamId: channel.teamId,
+        name: name
+      }
+    });
+
+    if (!slashCommand) {
+      throw await unknownCommandError(name, channel.teamId);
+    }
+
+    response = await runCustomCommand(slashCommand, context);
+  }
+
+  const result = {
+    command: `/${name}`,
+    channelId: channel.id,
+    parentMessageId: context.parentMessageId,
+    ...response
+  };
+
+  if (result.responseType === 'ephemeral') {
+    deliverEphemeral(user, result, io, socket);
+  }
+
+  return result;
+};
+
+module.exports = {
+  BUILTIN_COMMANDS,
+  BUILTIN_COMMAND_NAMES,
+  isCommand,
+  assertCanRunCommands,
+  runCommand
+};
@@ -0,0 +1,401 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+
+// Writers that turn exported channels and messages into files under a directory.
+// Each one is fed a channel at a time, in batches of messages, so a large team is
+// never held in memory:
+//   startChannel(channel), writeMessages(channel, messages), endChannel(channel),
+//   finish(summary) once every channel is written.
+
+// A file written a piece at a time, waiting whenever the disk falls behind
+const createFileWriter = async (filePath) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const stream = fs.createWriteStream(filePath);
+  let failure = null;
+  stream.on('error', (error) => {
+    failure = error;
+  });
+
+  const write = async (text) => {
+    if (failure) {
+      throw failure;
+    }
+    if (!stream.write(text)) {
+      await once(stream, 'drain');
+    }
+  };
+
+  const end = () => new Promise((resolve, reject) => {
+    if (failure) {
+      return reject(failure);
+    }
+    stream.once('error', reject);
+    stream.end(resolve);
+  });
+
+  return { write, end };
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString() : '');
+
+// Name shown for a message: the integration's display name or the sender's
+const authorName = (message) => {
+  if (message.senderName) {
+    return message.senderName;
+  }
+  return message.sender ? message.sender.name || message.sender.username : 'Unknown';
+};
+
+// JSON: export.json describes the export, channels and members; each channel's
+// messages are an array in channels/<channel>.json
+const createJsonWriter = async (dir) => {
+  const files = {};
+
+  const startChannel = async (channel) => {
+    files[channel.id] = { file: await createFileWriter(path.join(dir, channel.file)), first: true };
+    await files[channel.id].file.write('[\n');
+  };
+
+  const writeMessages = async (channel, messages) => {
+    const entry = files[channel.id];
+    for (const message of messages) {
+      await entry.file.write(`${entry.first ? '' : ',\n'}${JSON.stringify(message)}`);
+      entry.first = false;
+    }
+  };
+
+  const endChannel = async (channel) => {
+    await files[channel.id].file.write('\n]\n');
+    await files[channel.id].file.end();
+    delete files[channel.id];
+  };
+
+  const finish = async (summary) => {
+    const file = await createFileWriter(path.join(dir, 'export.json'));
+    await file.write(JSON.stringify(summary, null, 2) + '\n');
+    await file.end();
+  };
+
+  return { extension: 'json', startChannel, writeMessages, endChannel, finish };
+};
+
+// Spreadsheets run cells starting with these as formulas
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (CSV_FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => values.map(csvField).join(',') + '\r\n';
+
+// CSV: one file per kind of record, each row carrying the ids that link it to the others
+const createCsvWriter = async (dir) => {
+  const messagesFile = await createFileWriter(path.join(dir, 'messages.csv'));
+  const reactionsFile = await createFileWriter(path.join(dir, 'reactions.csv'));
+  const attachmentsFile = await createFileWriter(path.join(dir, 'attachments.csv'));
+
+  await messagesFile.write(csvRow([
+    'id', 'channel_id', 'channel_name', 'parent_message_id', 'created_at', 'edited_at',
+    'sender_id', 'sender_username', 'sender_name', 'is_bot', 'message_type', 'content',
+    'reply_count', 'pinned_at'
+  ]));
+  await reactionsFile.write(csvRow(['message_id', 'channel_id', 'emoji', 'user_id', 'username']));
+  await attachmentsFile.write(csvRow([
+    'id', 'message_id', 'channel_id', 'file_name', 'mime_type', 'size', 'url'
+  ]));
+
+  const startChannel = async () => {};
+
+  const writeMessages = async (channel, messages) => {
+    for (const message of messages) {
+      await messagesFile.write(csvRow([
+        message.id,
+        channel.id,
+        channel.name,
+        message.parentMessageId,
+        formatDate(message.createdAt),
+        formatDate(message.editedAt),
+        message.sender && message.sender.id,
+        message.sender && message.sender.username,
+        authorName(message),
+        message.isBot,
+        message.messageType,
+        message.content,
+        message.replyCount,
+        formatDate(message.pinnedAt)
+      ]));
+
+      for (const reaction of message.reactions) {
+        await reactionsFile.write(csvRow([
+          message.id, channel.id, reaction.emoji, reaction.userId, reaction.username
+        ]));
+      }
+
+      for (const attachment of message.attachments) {
+        await attachmentsFile.write(csvRow([
+          attachment.id, message.id, channel.id, attachment.fileName,
+          attachment.mimeType, attachment.size, attachment.url
+        ]));
+      }
+    }
+  };
+
+  const endChannel = async () => {};
+
+  const finish = async (summary) => {
+    await messagesFile.end();
+    await reactionsFile.end();
+    await attachmentsFile.end();
+
+    const channelsFile = await createFileWriter(path.join(dir, 'channels.csv'));
+    await channelsFile.write(csvRow([
+      'id', 'name', 'description', 'topic', 'is_private', 'created_at', 'archived_at', 'message_count'
+    ]));
+    for (const channel of summary.channels) {
+      await channelsFile.write(csvRow([
+        channel.id, channel.name, channel.description, channel.topic, channel.isPrivate,
+        formatDate(channel.createdAt), formatDate(channel.archivedAt), channel.messageCount
+      ]));
+    }
+    await channelsFile.end();
+
+    const channelMembersFile = await createFileWriter(path.join(dir, 'channel_members.csv'));
+    await channelMembersFile.write(csvRow([
+      'channel_id', 'channel_name', 'user_id', 'username', 'name', 'role', 'is_bot', 'joined_at'
+    ]));
+    for (const channel of summary.channels) {
+      for (const member of channel.members) {
+        await channelMembersFile.write(csvRow([
+          channel.id, channel.name, member.userId, member.username, member.name,
+          member.role, member.isBot, formatDate(member.joinedAt)
+        ]));
+      }
+    }
+    await channelMembersFile.end();
+
+    if (summary.teamMembers) {
+      const teamMembersFile = await createFileWriter(path.join(dir, 'team_members.csv'));
+      await teamMembersFile.write(csvRow(['user_id', 'username', 'name', 'role', 'is_bot', 'joined_at']));
+      for (const member of summary.teamMembers) {
+        await teamMembersFile.write(csvRow([
+          member.userId, member.username, member.name, member.role, member.isBot, formatDate(member.joinedAt)
+        ]));
+      }
+      await teamMembersFile.end();
+    }
+  };
+
+  return { extension: 'csv', startChannel, writeMessages, endChannel, finish };
+};
+
+const escapeHtml = (value) => {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Dates in transcripts are shown in UTC so every reader sees the same times
+const formatHtmlDate = (date) => (date ? new Date(date).toISOString().slice(0, 16).replace('T', ' ') + ' UTC' : '');
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Styles are inlined so transcripts open offline with nothing else alongside them
+const HTML_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0 auto; max-width: 960px; padding: 24px; color: #1d1c1d; }
+  h1 { font-size: 24px; margin-bottom: 4px; }
+  .meta { color: #616061; font-size: 13px; margin: 0 0 16px; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 24px; font-size: 14px; }
+  th, td { border-bottom: 1px solid #e8e8e8; padding: 6px 8px; text-align: left; vertical-align: top; }
+  ol.messages { list-style: none; padding: 0; }
+  li.day { border-bottom: 1px solid #e8e8e8; color: #616061; font-size: 13px; font-weight: bold; margin: 24px 0 8px; padding-bottom: 4px; }
+  li.message { padding: 6px 0; }
+  li.reply { border-left: 3px solid #e8e8e8; margin-left: 24px; padding-left: 12px; }
+  .author { font-weight: bold; }
+  .time, .note { color: #616061; font-size: 12px; margin-left: 6px; }
+  .badge { background: #e8e8e8; border-radius: 3px; font-size: 11px; margin-left: 6px; padding: 0 4px; }
+  .content { white-space: pre-wrap; word-wrap: break-word; }
+  .system .content, .me .content { color: #616061; font-style: italic; }
+  .reactions, .attachments { color: #616061; font-size: 13px; margin: 4px 0 0; padding: 0; list-style: none; }
+  .reactions li { display: inline-block; margin-right: 12px; }
+`;
+
+const htmlHead = (title) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+`;
+
+const HTML_TAIL = `
+</body>
+</html>
+`;
+
+const describeRange = (summary) => {
+  const { startDate, endDate } = summary.export;
+  if (!startDate && !endDate) {
+    return 'All messages';
+  }
+  return `Messages from ${startDate ? formatHtmlDate(startDate) : 'the beginning'} to ${endDate ? formatHtmlDate(endDate) : 'now'}`;
+};
+
+const membersTable = (members) => {
+  const rows = members.map(member => `<tr><td>${escapeHtml(member.name)}${member.isBot ? '<span class="badge">BOT</span>' : ''}</td>` +
+    `<td>@${escapeHtml(member.username)}</td><td>${escapeHtml(member.role)}</td><td>${formatHtmlDate(member.joinedAt)}</td></tr>`);
+
+  return `<table>
+<thead><tr><th>Name</th><th>Username</th><th>Role</th><th>Joined</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>`;
+};
+
+const renderMessage = (message) => {
+  const classes = ['message', message.messageType];
+  if (message.parentMessageId) {
+    classes.push('reply');
+  }
+
+  const notes = [];
+  if (message.parentMessageId) {
+    notes.push(`<a class="note" href="#m-${message.parentMessageId}">reply in thread</a>`);
+  }
+  if (message.replyCount > 0) {
+    notes.push(`<span class="note">${message.replyCount} ${message.replyCount === 1 ? 'reply' : 'replies'}</span>`);
+  }
+  if (message.editedAt) {
+    notes.push('<span class="note">(edited)</span>');
+  }
+  if (message.pinnedAt) {
+    notes.push('<span class="note">📌 pinned</span>');
+  }
+
+  let html = `<li class="${classes.join(' ')}" id="m-${message.id}">
+<span class="author">${escapeHtml(authorName(message))}</span>${message.isBot ? '<span class="badge">BOT</span>' : ''}` +
+    `<span class="time">${formatHtmlDate(message.createdAt)}</span>${notes.join('')}
+<div class="content">${escapeHtml(message.content)}</div>`;
+
+  if (message.reactions.length > 0) {
+    const byEmoji = new Map();
+    for (const reaction of message.reactions) {
+      byEmoji.set(reaction.emoji, [...(byEmoji.get(reaction.emoji) || []), reaction.username]);
+    }
+
+    html += `\n<ul class="reactions">${[...byEmoji].map(([emoji, usernames]) =>
+      `<li title="${escapeHtml(usernames.join(', '))}">${escapeHtml(emoji)} ${usernames.length}</li>`
+    ).join('')}</ul>`;
+  }
+
+  if (message.attachments.length > 0) {
+    html += `\n<ul class="attachments">${message.attachments.map(attachment =>
+      `<li>📎 ${escapeHtml(attachment.fileName)} (${escapeHtml(attachment.mimeType)}, ${formatSize(attachment.size)}) <code>${escapeHtml(attachment.url)}</code></li>`
+    ).join('')}</ul>`;
+  }
+
+  return html + '\n</li>\n';
+};
+
+// HTML: index.html lists the channels and members, and each channel is a static
+// transcript in channels/<channel>.html
+const createHtmlWriter = async (dir) => {
+  const files = {};
+
+  const startChannel = async (channel) => {
+    const file = await createFileWriter(path.join(dir, channel.file));
+    files[channel.id] = { file, lastDay: null };
+
+    await file.write(htmlHead(channel.name));
+    await file.write(`<p class="meta"><a href="../index.html">← All channels</a></p>
+<h1>${escapeHtml(channel.name)}${channel.isPrivate ? '<span class="badge">PRIVATE</span>' : ''}${channel.archivedAt ? '<span class="badge">ARCHIVED</span>' : ''}</h1>
+${channel.topic ? `<p class="meta">${escapeHtml(channel.topic)}</p>` : ''}
+${channel.description ? `<p>${escapeHtml(channel.description)}</p>` : ''}
+<details>
+<summary>${channel.members.length} ${channel.members.length === 1 ? 'member' : 'members'}</summary>
+${membersTable(channel.members)}
+</details>
+<ol class="messages">
+`);
+  };
+
+  const writeMessages = async (channel, messages) => {
+    const entry = files[channel.id];
+    for (const message of messages) {
+      const day = formatDate(message.createdAt).slice(0, 10);
+      if (day !== entry.lastDay) {
+        await entry.file.write(`<li class="day">${day}</li>\n`);
+        entry.lastDay = day;
+      }
+      await entry.file.write(renderMessage(message));
+    }
+  };
+
+  const endChannel = async (channel) => {
+    await files[channel.id].file.write(`</ol>${HTML_TAIL}`);
+    await files[channel.id].file.end();
+    delete files[channel.id];
+  };
+
+  const finish = async (summary) => {
+    const title = summary.channel ? `${summary.team.name} ${summary.channel.name}` : summary.team.name;
+
+    const channelRows = summary.channels.map(channel => `<tr><td><a href="${escapeHtml(channel.file)}">${escapeHtml(channel.name)}</a>` +
+      `${channel.isPrivate ? '<span class="badge">PRIVATE</span>' : ''}${channel.archivedAt ? '<span class="badge">ARCHIVED</span>' : ''}</td>` +
+      `<td>${escapeHtml(channel.topic)}</td><td>${channel.messageCount}</td></tr>`);
+
+    const file = await createFileWriter(path.join(dir, 'index.html'));
+    await file.write(htmlHead(`${title} export`));
+    await file.write(`<h1>${escapeHtml(title)}</h1>
+<p class="meta">${escapeHtml(describeRange(summary))} · exported ${formatHtmlDate(summary.export.createdAt)}${summary.requestedBy ? ` by @${escapeHtml(summary.requestedBy.username)}` : ''}</p>
+<h2>Channels</h2>
+<table>
+<thead><tr><th>Channel</th><th>Topic</th><th>Messages</th></tr></thead>
+<tbody>
+${channelRows.join('\n')}
+</tbody>
+</table>
+${summary.teamMembers ? `<h2>Team members</h2>\n${membersTable(summary.teamMembers)}` : ''}`);
+    await file.write(HTML_TAIL);
+    await file.end();
+  };
+
+  return { extension: 'html', startChannel, writeMessages, endChannel, finish };
+};
+
+const FORMAT_WRITERS = {
+  json: createJsonWriter,
+  csv: createCsvWriter,
+  html: createHtmlWriter
+};
+
+const EXPORT_FORMATS = Object.keys(FORMAT_WRITERS);
+
+const createFormatWriter = (format, dir) => {
+  return FORMAT_WRITERS[format](dir);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  createFormatWriter
+};
@@ -0,0 +1,434 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Op } = require('sequelize');
+const { Export, Team, Channel, TeamMember, ChannelMember, Message, MessageReaction, Attachment, User } = require('../models');
+const { PERMISSIONS, hasPermission } = require('../policies/permissions');
+const storage = require('../storage');
+const { createFormatWriter } = require('./exportFormats');
+
+const EXPORT_POLL_INTERVAL = parseInt(process.env.EXPORT_POLL_INTERVAL) || 10 * 1000;
+const EXPORT_BATCH_SIZE = 500;
+const TAR_BLOCK_SIZE = 512;
+
+const USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'username', 'isBot'];
+
+// The export as shown to the person who requested it
+const populateExport = (exportId) => {
+  return Export.findByPk(exportId, {
+    attributes: { exclude: ['storageKey'] },
+    include: [
+      {
+        model: Channel,
+        as: 'channel',
+        attributes: ['id', 'name', 'isPrivate']
+      },
+      {
+        model: User,
+        as: 'requestedBy',
+        attributes: ['id', 'firstName', 'lastName', 'username']
+      }
+    ]
+  });
+};
+
+// Database queries are async, but serializing and writing a batch is not, so give
+// other requests a turn between batches
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+const fullName = (user) => `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.username;
+
+// File-system friendly name, e.g. "#General Chat" -> "general-chat"
+const slugify = (name) => {
+  return name.replace(/^#/, '').toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+};
+
+// Channels the requester can see: public ones plus private ones they belong to.
+// Checked when the export runs, so access lost since requesting it is respected.
+const findExportChannels = (exportJob) => {
+  return Channel.findAll({
+    where: {
+      teamId: exportJob.teamId,
+      type: 'channel',
+      ...(exportJob.channelId && { id: exportJob.channelId }),
+      ...Channel.visibleTo(exportJob.requestedById)
+    },
+    order: [['name', 'ASC']]
+  });
+};
+
+const serializeMember = (member, role) => ({
+  userId: member.userId,
+  username: member.user.username,
+  name: fullName(member.user),
+  role: role || member.role,
+  isBot: member.user.isBot,
+  joinedAt: member.joinedAt
+});
+
+const findChannelMembers = async (channelId) => {
+  const members = await ChannelMember.findAll({
+    where: { channelId: channelId },
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: USER_ATTRIBUTES
+    }],
+    order: [['joinedAt', 'ASC']]
+  });
+
+  return members.map(member => serializeMember(member));
+};
+
+const findTeamMembers = async (team) => {
+  const members = await TeamMember.findAll({
+    where: { teamId: team.id },
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: USER_ATTRIBUTES
+    }],
+    order: [['joinedAt', 'ASC']]
+  });
+
+  return members.map(member => serializeMember(member, member.userId === team.ownerId ? 'owner' : null));
+};
+
+// Next batch of a channel's messages in the export's date range, oldest first.
+// Thread replies are included in order and point at their parent.
+const fetchMessageBatch = (channelId, exportJob, cursor) => {
+  const where = { channelId: channelId };
+
+  if (exportJob.startDate || exportJob.endDate) {
+    where.createdAt = {
+      ...(exportJob.startDate && { [Op.gte]: exportJob.startDate }),
+      ...(exportJob.endDate && { [Op.lte]: exportJob.endDate })
+    };
+  }
+
+  if (cursor) {
+    where[Op.or] = [
+      { createdAt: { [Op.gt]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, id: { [Op.gt]: cursor.id } }
+    ];
+  }
+
+  return Message.findAll({
+    where,
+    include: [{
+      model: User,
+      as: 'sender',
+      attributes: USER_ATTRIBUTES
+    }],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']],
+    limit: EXPORT_BATCH_SIZE
+  });
+};
+
+// Plain records for a batch of messages, with their reactions and attachment references
+const serializeMessages = async (messages) => {
+  const messageIds = messages.map(message => message.id);
+
+  const [reactions, attachments] = await Promise.all([
+    MessageReaction.findAll({
+      where: { messageId: { [Op.in]: messageIds } },
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'username']
+      }],
+      order: [['createdAt', 'ASC']]
+    }),
+    Attachment.findAll({
+      where: { messageId: { [Op.in]: messageIds } },
+      order: [['createdAt', 'ASC']]
+    })
+  ]);
+
+  return messages.map(message => ({
+    id: message.id,
+    channelId: message.channelId,
+    parentMessageId: message.parentMessageId,
+    messageType: message.messageType,
+    content: message.content,
+    sender: message.sender
+      ? { id: message.sender.id, username: message.sender.username, name: fullName(message.sender) }
+      : null,
+    senderName: message.senderName,
+    isBot: message.isBot,
+    embeds: message.embeds,
+    createdAt: message.createdAt,
+    editedAt: message.editedAt,
+    pinnedAt: message.pinnedAt,
+    replyCount: message.replyCount,
+    reactions: reactions
+      .filter(reaction => reaction.messageId === message.id)
+      .map(reaction => ({
+        emoji: reaction.emoji,
+        userId: reaction.userId,
+        username: reaction.user ? reaction.user.username : null
+      })),
+    attachments: attachments
+      .filter(attachment => attachment.messageId === message.id)
+      .map(attachment => ({
+        id: attachment.id,
+        fileName: attachment.fileName,
+        mimeType: attachment.mimeType,
+        size: attachment.size,
+        url: attachment.url
+      }))
+  }));
+};
+
+// Paths of every file under `dir`, relative to it and using forward slashes
+const listFiles = async (dir, prefix = '') => {
+  const entries = await fs.promises.readdir(path.join(dir, prefix), { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dir, relativePath));
+    } else {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+};
+
+// ustar header for a regular file; the archive's top-level folder goes in the prefix field
+const tarHeader = (folder, name, size, mtime) => {
+  const header = Buffer.alloc(TAR_BLOCK_SIZE);
+  header.write(name, 0, 100);
+  header.write('0000644\0', 100);
+  header.write('0000000\0', 108);
+  header.write('0000000\0', 116);
+  header.write(size.toString(8).padStart(11, '0') + '\0', 124);
+  header.write(Math.floor(mtime.getTime() / 1000).toString(8).padStart(11, '0') + '\0', 136);
+  header.write('        ', 148);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  header.write(folder, 345, 155);
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+
+  return header;
+};
+
+// Tar stream of everything under `dir`, read from disk a chunk at a time
+async function* tarEntries(dir, folder) {
+  for (const file of await listFiles(dir)) {
+    const filePath = path.join(dir, file);
+    const { size, mtime } = await fs.promises.stat(filePath);
+
+    yield tarHeader(folder, file, size, mtime);
+    for await (const chunk of fs.createReadStream(filePath)) {
+      yield chunk;
+    }
+
+    if (size % TAR_BLOCK_SIZE) {
+      yield Buffer.alloc(TAR_BLOCK_SIZE - (size % TAR_BLOCK_SIZE));
+    }
+  }
+
+  yield Buffer.alloc(TAR_BLOCK_SIZE * 2);
+}
+
+// Build the export's files in a temporary folder, then store them as one .tar.gz
+const buildExportArchive = async (exportJob) => {
+  const team = await Team.findByPk(exportJob.teamId);
+  if (!team) {
+    throw new Error('Team not found');
+  }
+
+  // The requester may have been demoted or removed since asking for the export
+  if (!(await hasPermission(exportJob.requestedById, team, PERMISSIONS.EXPORT_DATA))) {
+    throw new Error('Permission denied');
+  }
+
+  const channels = await findExportChannels(exportJob);
+  if (exportJob.channelId && channels.length === 0) {
+    throw new Error('Channel not found');
+  }
+
+  const requestedBy = await User.findByPk(exportJob.requestedById, { attributes: USER_ATTRIBUTES });
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'huddle-up-export-'));
+
+  try {
+    const contentDir = path.join(workDir, 'export');
+    const writer = await createFormatWriter(exportJob.format, contentDir);
+    const exportedChannels = [];
+
+    for (const channel of channels) {
+      const exportedChannel = {
+        id: channel.id,
+        name: channel.name,
+        description: channel.description,
+        topic: channel.topic,
+        isPrivate: channel.isPrivate,
+        createdAt: channel.createdAt,
+        archivedAt: channel.archivedAt,
+        file: `channels/${slugify(channel.name) || 'channel'}-${channel.id.slice(0, 8)}.${writer.extension}`,
+        members: await findChannelMembers(channel.id),
+        messageCount: 0
+      };
+
+      await writer.startChannel(exportedChannel);
+
+      let cursor = null;
+      let messages;
+      do {
+        messages = await fetchMessageBatch(channel.id, exportJob, cursor);
+        if (messages.length > 0) {
+          await writer.writeMessages(exportedChannel, await serializeMessages(messages));
+          exportedChannel.messageCount += messages.length;
+          cursor = messages[messages.length - 1];
+        }
+        await yieldToEventLoop();
+      } while (messages.length === EXPORT_BATCH_SIZE);
+
+      await writer.endChannel(exportedChannel);
+      exportedChannels.push(exportedChannel);
+    }
+
+    await writer.finish({
+      export: {
+        id: exportJob.id,
+        format: exportJob.format,
+        startDate: exportJob.startDate,
+        endDate: exportJob.endDate,
+        createdAt: exportJob.createdAt
+      },
+      team: { id: team.id, name: team.name },
+      channel: exportJob.channelId ? { id: channels[0].id, name: channels[0].name } : null,
+      requestedBy: requestedBy
+        ? { id: requestedBy.id, username: requestedBy.username, name: fullName(requestedBy) }
+        : null,
+      channels: exportedChannels,
+      teamMembers: exportJob.channelId ? null : await findTeamMembers(team)
+    });
+
+    // e.g. acme-general-json-2024-05-01
+    const folder = [
+      slugify(team.name) || 'team',
+      ...(exportJob.channelId ? [slugify(channels[0].name) || 'channel'] : []),
+      exportJob.format,
+      new Date().toISOString().slice(0, 10)
+    ].join('-');
+
+    // Compressing happens off the main thread; only stream plumbing runs here
+    const archivePath = path.join(workDir, 'export.tar.gz');
+    await pipeline(
+      Readable.from(tarEntries(contentDir, folder)),
+      zlib.createGzip(),
+      fs.createWriteStream(archivePath)
+    );
+
+    const { size } = await fs.promises.stat(archivePath);
+    const storageKey = `exports/${team.id}/${exportJob.id}.tar.gz`;
+    await storage.saveStream(storageKey, fs.createReadStream(archivePath));
+
+    return {
+      storageKey,
+      fileName: `${folder}.tar.gz`,
+      size,
+      channelCount: exportedChannels.length,
+      messageCount: exportedChannels.reduce((total, channel) => total + channel.messageCount, 0)
+    };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+// Run one export and tell the requester how it went
+const processExport = async (exportJob, io) => {
+  // Claim the export first so it only runs once
+  const [claimed] = await Export.update(
+    { status: 'processing', startedAt: new Date() },
+    { where: { id: exportJob.id, status: 'pending' } }
+  );
+
+  if (!claimed) {
+    return;
+  }
+
+  let result = null;
+  let failure = null;
+
+  try {
+    result = await buildExportArchive(exportJob);
+  } catch (error) {
+    console.error('Error building export:', error);
+    failure = error.message;
+  }
+
+  await Export.update(
+    result
+      ? { ...result, status: 'completed', completedAt: new Date() }
+      : { status: 'failed', error: failure.slice(0, 255), completedAt: new Date() },
+    { where: { id: exportJob.id } }
+  );
+
+  io.to(`user-${exportJob.requestedById}`).emit(
+    result ? 'export-completed' : 'export-failed',
+    await populateExport(exportJob.id)
+  );
+};
+
+// Run pending exports one at a time, oldest first
+const processPendingExports = async (io) => {
+  let exportJob;
+  while ((exportJob = await Export.findOne({ where: { status: 'pending' }, order: [['createdAt', 'ASC']] }))) {
+    try {
+      await processExport(exportJob, io);
+    } catch (error) {
+      console.error('Error processing export:', error);
+      return;
+    }
+  }
+};
+
+// Poll for requested exports. An export that was being built when the server stopped
+// is queued again, since its temporary files went with the old process.
+const startExportScheduler = (io) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await processPendingExports(io);
+    } catch (error) {
+      console.error('Error checking exports:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  Export.update(
+    { status: 'pending', startedAt: null },
+    { where: { status: 'processing' } }
+  )
+    .catch(error => console.error('Error requeueing exports:', error))
+    .then(run);
+
+  return setInterval(run, EXPORT_POLL_INTERVAL);
+};
+
+module.exports = {
+  populateExport,
+  processPendingExports,
+  startExportScheduler
+};
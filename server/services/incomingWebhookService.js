@@ -0,0 +1,126 @@
+const { MessageServiceError } = require('./messageService');
+
+const RATE_LIMIT = parseInt(process.env.INCOMING_WEBHOOK_RATE_LIMIT) || 60;
+const RATE_LIMIT_WINDOW = parseInt(process.env.INCOMING_WEBHOOK_RATE_WINDOW) || 60 * 1000;
+
+const MAX_EMBEDS = 10;
+const MAX_EMBED_FIELDS = 20;
+const MAX_EMBED_TEXT_LENGTH = 2000;
+const MAX_NAME_LENGTH = 80;
+
+// Requests per webhook in the current window, kept in memory
+const windows = new Map();
+
+// Count a request against a webhook's limit. Returns the seconds to wait when over the limit.
+const consumeRateLimit = (webhookId) => {
+  const now = Date.now();
+  let window = windows.get(webhookId);
+
+  if (!window || now - window.startedAt >= RATE_LIMIT_WINDOW) {
+    window = { startedAt: now, count: 0 };
+    windows.set(webhookId, window);
+  }
+
+  if (window.count >= RATE_LIMIT) {
+    return Math.ceil((window.startedAt + RATE_LIMIT_WINDOW - now) / 1000);
+  }
+
+  window.count += 1;
+  return null;
+};
+
+// Forget windows that have ended so the map doesn't grow without bound
+setInterval(() => {
+  const now = Date.now();
+  for (const [webhookId, window] of windows) {
+    if (now - window.startedAt >= RATE_LIMIT_WINDOW) {
+      windows.delete(webhookId);
+    }
+  }
+}, RATE_LIMIT_WINDOW).unref();
+
+const optionalString = (value, maxLength) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (typeof value !== 'string') {
+    throw new MessageServiceError(400, 'Attachment values must be strings');
+  }
+  return value.slice(0, maxLength);
+};
+
+const optionalUrl = (value) => {
+  const url = optionalString(value, 2048);
+  if (url && !/^https?:\/\//i.test(url)) {
+    throw new MessageServiceError(400, 'URLs must start with http:// or https://');
+  }
+  return url;
+};
+
+// Keep the known attachment keys, accepting Slack-style snake_case names
+const normalizeEmbed = (attachment) => {
+  if (!attachment || typeof attachment !== 'object' || Array.isArray(attachment)) {
+    throw new MessageServiceError(400, 'Each attachment must be an object');
+  }
+
+  const fields = attachment.fields || [];
+  if (!Array.isArray(fields) || fields.length > MAX_EMBED_FIELDS) {
+    throw new MessageServiceError(400, `fields must be an array of at most ${MAX_EMBED_FIELDS} items`);
+  }
+
+  const embed = {
+    fallback: optionalString(attachment.fallback, MAX_EMBED_TEXT_LENGTH),
+    color: optionalString(attachment.color, 32),
+    pretext: optionalString(attachment.pretext, MAX_EMBED_TEXT_LENGTH),
+    title: optionalString(attachment.title, 256),
+    titleLink: optionalUrl(attachment.titleLink || attachment.title_link),
+    text: optionalString(attachment.text, MAX_EMBED_TEXT_LENGTH),
+    imageUrl: optionalUrl(attachment.imageUrl || attachment.image_url),
+    footer: optionalString(attachment.footer, 256),
+    fields: fields.map(field => ({
+      title: optionalString(field && field.title, 256),
+      value: optionalString(field && field.value, MAX_EMBED_TEXT_LENGTH),
+      short: Boolean(field && field.short)
+    }))
+  };
+
+  // Drop unset keys so stored embeds stay compact
+  return JSON.parse(JSON.stringify(embed));
+};
+
+// Turn an incoming webhook request body into the fields of a message
+const parseIncomingPayload = (body, webhook) => {
+  if (!body || typeof body !== 'object') {
+    throw new MessageServiceError(400, 'Request body must be a JSON object');
+  }
+
+  const attachments = body.attachments || [];
+  if (!Array.isArray(attachments) || attachments.length > MAX_EMBEDS) {
+    throw new MessageServiceError(400, `attachments must be an array of at most ${MAX_EMBEDS} items`);
+  }
+
+  const embeds = attachments.map(normalizeEmbed);
+
+  // Messages always carry text; fall back to the first attachment's summary
+  const firstEmbed = embeds[0] || {};
+  const text = typeof body.text === 'string' && body.text.trim()
+    ? body.text
+    : firstEmbed.fallback || firstEmbed.title || firstEmbed.text || firstEmbed.pretext;
+
+  if (!text) {
+    throw new MessageServiceError(400, 'text or an attachment is required');
+  }
+
+  return {
+    content: text,
+    embeds,
+    senderName: optionalString(body.username, MAX_NAME_LENGTH) || webhook.name,
+    senderIconUrl: optionalUrl(body.iconUrl || body.icon_url) || webhook.iconUrl || null,
+    incomingWebhookId: webhook.id
+  };
+};
+
+module.exports = {
+  consumeRateLimit,
+  parseIncomingPayload
+};
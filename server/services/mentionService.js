@@ -0,0 +1,180 @@
+const { Notification, ChannelMember, Channel, Message, User, SavedItem } = require('../models');
+const { Op } = require('sequelize');
+
+const MENTION_PATTERN = /(^|[^\w@])@([\w.-]+)/g;
+const SPECIAL_MENTIONS = ['channel', 'here'];
+
+// Pull @username, @channel and @here out of message content
+const parseMentions = (content = '') => {
+  const usernames = new Set();
+  const special = new Set();
+
+  for (const match of content.matchAll(MENTION_PATTERN)) {
+    const name = match[2].replace(/[.-]+$/, '');
+    if (SPECIAL_MENTIONS.includes(name.toLowerCase())) {
+      special.add(name.toLowerCase());
+    } else if (name) {
+      usernames.add(name);
+    }
+  }
+
+  return {
+    usernames: [...usernames],
+    channel: special.has('channel'),
+    here: special.has('here')
+  };
+};
+
+// Resolve who a message mentions, keyed by user id, limited to channel members
+const resolveMentionedUsers = async (message) => {
+  const mentions = parseMentions(message.content);
+  const targets = new Map();
+
+  if (!mentions.usernames.length && !mentions.channel && !mentions.here) {
+    return targets;
+  }
+
+  const members = await ChannelMember.findAll({
+    where: { channelId: message.channelId },
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: ['id', 'username', 'isOnline']
+    }]
+  });
+
+  for (const member of members) {
+    const user = member.user;
+    if (!user || user.id === message.senderId) {
+      continue;
+    }
+
+    // A direct @username mention takes precedence over @channel/@here,
+    // which members who muted the channel don't receive
+    if (mentions.usernames.includes(user.username)) {
+      targets.set(user.id, 'user');
+    } else if (member.mutedAt) {
+      continue;
+    } else if (mentions.channel) {
+      targets.set(user.id, 'channel');
+    } else if (mentions.here && user.isOnline) {
+      targets.set(user.id, 'here');
+    }
+  }
+
+  return targets;
+};
+
+const populateNotification = (notificationId) => {
+  return Notification.findByPk(notificationId, {
+    include: [
+      {
+        model: User,
+        as: 'actor',
+        attributes: ['id', 'firstName', 'lastName', 'username']
+      },
+      {
+        model: Message,
+        as: 'message',
+        attributes: ['id', 'content', 'channelId', 'parentMessageId', 'createdAt']
+      },
+      {
+        model: Channel,
+        as: 'channel',
+        attributes: ['id', 'name', 'type']
+      },
+      {
+        model: SavedItem,
+        as: 'savedItem',
+        attributes: ['id', 'messageId', 'remindAt', 'completedAt']
+      }
+    ]
+  });
+};
+
+// Create, keep or remove mention notifications so they match the message content
+const syncMentions = async (message, io) => {
+  const targets = await resolveMentionedUsers(message);
+
+  const existingNotifications = await Notification.findAll({
+    where: {
+      messageId: message.id,
+      type: 'mention'
+    }
+  });
+
+  const staleNotifications = existingNotifications.filter(
+    notification => !targets.has(notification.userId)
+  );
+
+  if (staleNotifications.length > 0) {
+    await Notification.destroy({
+      where: { id: { [Op.in]: staleNotifications.map(notification => notification.id) } }
+    });
+
+    for (const notification of staleNotifications) {
+      io.to(`user-${notification.userId}`).emit('notification-deleted', {
+        id: notification.id,
+        messageId: message.id
+      });
+    }
+  }
+
+  for (const notification of existingNotifications) {
+    const mentionType = targets.get(notification.userId);
+    if (mentionType && mentionType !== notification.mentionType) {
+      await notification.update({ mentionType });
+    }
+  }
+
+  // Only newly mentioned users get a fresh notification
+  const notifiedUserIds = new Set(existingNotifications.map(notification => notification.userId));
+
+  for (const [userId, mentionType] of targets) {
+    if (notifiedUserIds.has(userId)) {
+      continue;
+    }
+
+    const notification = await Notification.create({
+      userId,
+      type: 'mention',
+      mentionType,
+      actorId: message.senderId,
+      messageId: message.id,
+      channelId: message.channelId,
+      teamId: message.teamId
+    });
+
+    io.to(`user-${userId}`).emit('notification', await populateNotification(notification.id));
+  }
+};
+
+// Drop every mention notification for a deleted message
+const removeMentions = async (message, io) => {
+  const notifications = await Notification.findAll({
+    where: {
+      messageId: message.id,
+      type: 'mention'
+    }
+  });
+
+  if (notifications.length === 0) {
+    return;
+  }
+
+  await Notification.destroy({ where: { messageId: message.id, type: 'mention' } });
+
+  for (const notification of notifications) {
+    io.to(`user-${notification.userId}`).emit('notification-deleted', {
+      id: notification.id,
+      messageId: message.id
+    });
+  }
+};
+
+module.exports = {
+  parseMentions,
+  syncMentions,
+  removeMentions,
+  populateNotification
+};
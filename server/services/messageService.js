@@ -0,0 +1,313 @@
+const { Message, Channel, User, ChannelMember, MessageReaction, Attachment, sequelize } = require('../models');
+const { syncMentions, removeMentions } = require('./mentionService');
+const { canEditMessage, canDeleteMessage } = require('../policies/permissions');
+const { attachReactions, getReactionSummaries } = require('./reactionService');
+const { WEBHOOK_EVENTS, dispatchEvent } = require('./webhookService');
+
+const MAX_CONTENT_LENGTH = 4000;
+
+// Rejection carrying the HTTP status REST handlers answer with; sockets get the same message
+class MessageServiceError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'MessageServiceError';
+    this.status = status;
+  }
+}
+
+const validateContent = (content) => {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new MessageServiceError(400, 'Message content is required');
+  }
+
+  if (content.length > MAX_CONTENT_LENGTH) {
+    throw new MessageServiceError(400, `Message content cannot exceed ${MAX_CONTENT_LENGTH} characters`);
+  }
+};
+
+// Load a channel the user belongs to, optionally refusing archived channels
+const findMemberChannel = async (userId, channelId, { writable = false } = {}) => {
+  const channelMember = channelId && await ChannelMember.findOne({
+    where: {
+      userId: userId,
+      channelId: channelId
+    }
+  });
+
+  if (!channelMember) {
+    throw new MessageServiceError(403, 'Access denied');
+  }
+
+  const channel = await Channel.findByPk(channelId);
+  if (!channel) {
+    throw new MessageServiceError(404, 'Channel not found');
+  }
+
+  if (writable && channel.archivedAt) {
+    throw new MessageServiceError(403, 'Channel is archived');
+  }
+
+  return channel;
+};
+
+// Integrations only hear about public channels, never private channels or DMs
+const isPublicChannel = (channel) => {
+  return channel.type === 'channel' && !channel.isPrivate;
+};
+
+const channelSummary = (channel) => ({
+  id: channel.id,
+  name: channel.name
+});
+
+const findMessage = async (messageId) => {
+  const message = messageId && await Message.findByPk(messageId);
+  if (!message) {
+    throw new MessageServiceError(404, 'Message not found');
+  }
+  return message;
+};
+
+// The message payload sent to clients over REST and sockets. Broadcasts have no single
+// viewer, so their reaction summaries leave out `reactedByMe`.
+const populateMessage = async (messageId, viewerId) => {
+  const message = await Message.findByPk(messageId, {
+    include: [
+      {
+        model: User,
+        as: 'sender',
+        attributes: ['id', 'firstName', 'lastName', 'username', 'email', 'isBot']
+      },
+      {
+        model: Attachment,
+        as: 'attachments'
+      }
+    ]
+  });
+
+  return attachReactions(message, viewerId);
+};
+
+// Announce a newly created message in `channel`: move the channel's last message, notify
+// mentions and broadcast
+const publishMessage = async (message, channel, io) => {
+  // Thread replies don't move the channel's last message
+  if (!message.parentMessageId) {
+    await Channel.update(
+      { lastMessageId: message.id },
+      { where: { id: message.channelId } }
+    );
+  }
+
+  if (message.messageType !== 'system') {
+    await syncMentions(message, io);
+  }
+
+  const populatedMessage = await populateMessage(message.id);
+
+  if (message.parentMessageId) {
+    // Thread replies stay out of the main timeline
+    const parentMessage = await Message.findByPk(message.parentMessageId);
+    io.to(`channel-${message.channelId}`).emit('thread-reply', {
+      parentMessageId: message.parentMessageId,
+      replyCount: parentMessage.replyCount,
+      lastReplyAt: parentMessage.lastReplyAt,
+      message: populatedMessage
+    });
+  } else {
+    io.to(`channel-${message.channelId}`).emit('new-message', populatedMessage);
+  }
+
+  if (message.messageType !== 'system' && isPublicChannel(channel)) {
+    dispatchEvent(channel.teamId, WEBHOOK_EVENTS.MESSAGE_CREATED, {
+      channel: channelSummary(channel),
+      message: populatedMessage
+    });
+  }
+
+  return populatedMessage;
+};
+
+// Post a message as a channel member. `attachment` describes an already stored file;
+// `messageType` is only set by callers such as the /me command.
+const sendMessage = async (userId, { content, channelId, parentMessageId, attachment, messageType }, io) => {
+  validateContent(content);
+
+  const channel = await findMemberChannel(userId, channelId, { writable: true });
+
+  // Replies must target a top-level message in the same channel
+  if (parentMessageId) {
+    const parentMessage = await Message.findOne({
+      where: {
+        id: parentMessageId,
+        channelId: channelId
+      }
+    });
+
+    if (!parentMessage) {
+      throw new MessageServiceError(404, 'Parent message not found');
+    }
+
+    if (parentMessage.parentMessageId) {
+      throw new MessageServiceError(400, 'Cannot reply to a thread reply');
+    }
+  }
+
+  // A message and its attachment are stored together or not at all
+  const message = await sequelize.transaction(async (transaction) => {
+    const message = await Message.create({
+      content,
+      senderId: userId,
+      channelId: channel.id,
+      teamId: channel.teamId,
+      parentMessageId: parentMessageId || null,
+      ...(messageType && { messageType }),
+      ...(attachment && {
+        messageType: attachment.mimeType.startsWith('image/') ? 'image' : 'file',
+        fileUrl: `/api/attachments/${attachment.id}`
+      })
+    }, { transaction });
+
+    if (attachment) {
+      await Attachment.create({
+        ...attachment,
+        messageId: message.id,
+        channelId: channel.id,
+        uploaderId: userId
+      }, { transaction });
+    }
+
+    return message;
+  });
+
+  return publishMessage(message, channel, io);
+};
+
+// Post a message from an integration rather than a channel member
+const postIntegrationMessage = async (channel, { content, embeds, senderName, senderIconUrl, incomingWebhookId, slashCommandId }, io) => {
+  validateContent(content);
+
+  if (channel.archivedAt) {
+    throw new MessageServiceError(403, 'Channel is archived');
+  }
+
+  const message = await Message.create({
+    content,
+    senderId: null,
+    channelId: channel.id,
+    teamId: channel.teamId,
+    incomingWebhookId,
+    slashCommandId,
+    senderName,
+    senderIconUrl,
+    embeds: embeds && embeds.length ? embeds : null
+  });
+
+  return publishMessage(message, channel, io);
+};
+
+const editMessage = async (userId, { messageId, content }, io) => {
+  validateContent(content);
+
+  const message = await findMessage(messageId);
+
+  if (!(await canEditMessage(userId, message))) {
+    throw new MessageServiceError(403, 'Permission denied');
+  }
+
+  const channel = await Channel.findByPk(message.channelId);
+  if (channel.archivedAt) {
+    throw new MessageServiceError(403, 'Channel is archived');
+  }
+
+  await message.update({
+    content: content,
+    editedAt: new Date()
+  });
+
+  await syncMentions(message, io);
+
+  const populatedMessage = await populateMessage(message.id);
+  io.to(`channel-${message.channelId}`).emit('message-edited', populatedMessage);
+
+  return populatedMessage;
+};
+
+const deleteMessage = async (userId, { messageId }, io) => {
+  const message = await findMessage(messageId);
+
+  // Senders delete their own messages; admins can moderate anyone's
+  if (!(await canDeleteMessage(userId, message))) {
+    throw new MessageServiceError(403, 'Permission denied');
+  }
+
+  await message.destroy();
+  await removeMentions(message, io);
+
+  io.to(`channel-${message.channelId}`).emit('message-deleted', message.id);
+
+  return message;
+};
+
+// Add the reaction if the user hasn't reacted with this emoji yet, otherwise remove it
+const toggleReaction = async (userId, { messageId, emoji }, io) => {
+  if (typeof emoji !== 'string' || !emoji.trim()) {
+    throw new MessageServiceError(400, 'Emoji is required');
+  }
+
+  const message = await findMessage(messageId);
+  const channel = await findMemberChannel(userId, message.channelId, { writable: true });
+
+  const where = {
+    userId: userId,
+    messageId: message.id,
+    emoji: emoji
+  };
+
+  const existingReaction = await MessageReaction.findOne({ where });
+
+  // Hard delete so reacting again doesn't collide with the unique index
+  if (existingReaction) {
+    await existingReaction.destroy({ force: true });
+  } else {
+    await MessageReaction.create(where);
+  }
+
+  const summaries = await getReactionSummaries([message.id]);
+
+  // Carries the message's full reaction summary so clients can replace what they show
+  const reaction = {
+    messageId: message.id,
+    channelId: message.channelId,
+    emoji,
+    userId,
+    added: !existingReaction,
+    reactions: summaries.get(message.id)
+  };
+
+  io.to(`channel-${message.channelId}`).emit('reaction-updated', reaction);
+
+  if (reaction.added && isPublicChannel(channel)) {
+    dispatchEvent(channel.teamId, WEBHOOK_EVENTS.REACTION_ADDED, {
+      channel: channelSummary(channel),
+      messageId: message.id,
+      emoji,
+      userId
+    });
+  }
+
+  return reaction;
+};
+
+module.exports = {
+  MessageServiceError,
+  validateContent,
+  findMemberChannel,
+  populateMessage,
+  publishMessage,
+  sendMessage,
+  postIntegrationMessage,
+  editMessage,
+  deleteMessage,
+  toggleReaction
+};
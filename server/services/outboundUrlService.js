@@ -0,0 +1,68 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+// Hosts that may resolve to local or private addresses, for receivers running next to the
+// server: a comma-separated list of hostnames or IP addresses, e.g. "localhost,10.0.0.5"
+const ALLOWED_HOSTS = (process.env.OUTBOUND_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Loopback, private, link-local and other non-public ranges
+const blockedAddresses = new net.BlockList();
+blockedAddresses.addSubnet('0.0.0.0', 8, 'ipv4');
+blockedAddresses.addSubnet('10.0.0.0', 8, 'ipv4');
+blockedAddresses.addSubnet('100.64.0.0', 10, 'ipv4');
+blockedAddresses.addSubnet('127.0.0.0', 8, 'ipv4');
+blockedAddresses.addSubnet('169.254.0.0', 16, 'ipv4');
+blockedAddresses.addSubnet('172.16.0.0', 12, 'ipv4');
+blockedAddresses.addSubnet('192.168.0.0', 16, 'ipv4');
+blockedAddresses.addSubnet('224.0.0.0', 3, 'ipv4');
+blockedAddresses.addAddress('::', 'ipv6');
+blockedAddresses.addAddress('::1', 'ipv6');
+blockedAddresses.addSubnet('fc00::', 7, 'ipv6');
+blockedAddresses.addSubnet('fe80::', 10, 'ipv6');
+blockedAddresses.addSubnet('ff00::', 8, 'ipv6');
+
+// IPv4 addresses written as IPv6 (::ffff:127.0.0.1) are checked against the IPv4 ranges
+const isBlockedAddress = (address) => {
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Returns an error message, or null if the server may send requests to the URL. Checked again
+// before every request, since a hostname can be pointed somewhere else after it was saved.
+const checkOutboundUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'URL must be an http or https URL';
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return 'URL must be an http or https URL';
+  }
+
+  // IPv6 hosts come back in brackets
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (ALLOWED_HOSTS.includes(host)) {
+    return null;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+  } catch (error) {
+    return `Could not resolve ${host}`;
+  }
+
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    return 'URL must not point to a local or private network address';
+  }
+
+  return null;
+};
+
+module.exports = {
+  checkOutboundUrl
+};
@@ -0,0 +1,91 @@
+const { MessageReaction, User } = require('../models');
+const { Op } = require('sequelize');
+
+// How many reacting users each summary names
+const REACTION_SAMPLE_SIZE = 3;
+
+const REACTION_USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'username'];
+
+// Aggregate reactions per message into [{ emoji, count, reactedByMe, users }], in the
+// order each emoji was first used. `reactedByMe` is only set when a viewer is given.
+const getReactionSummaries = async (messageIds, viewerId) => {
+  const summaries = new Map(messageIds.map(messageId => [messageId, []]));
+
+  if (messageIds.length === 0) {
+    return summaries;
+  }
+
+  const reactions = await MessageReaction.findAll({
+    where: { messageId: { [Op.in]: messageIds } },
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: REACTION_USER_ATTRIBUTES
+    }],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+
+  for (const reaction of reactions) {
+    const messageSummaries = summaries.get(reaction.messageId);
+    let summary = messageSummaries.find(entry => entry.emoji === reaction.emoji);
+
+    if (!summary) {
+      summary = { emoji: reaction.emoji, count: 0 };
+      if (viewerId) {
+        summary.reactedByMe = false;
+      }
+      summary.users = [];
+      messageSummaries.push(summary);
+    }
+
+    summary.count += 1;
+
+    if (viewerId && reaction.userId === viewerId) {
+      summary.reactedByMe = true;
+    }
+
+    if (reaction.user && summary.users.length < REACTION_SAMPLE_SIZE) {
+      summary.users.push(reaction.user);
+    }
+  }
+
+  return summaries;
+};
+
+// Add a `reactions` summary to each message instance so it is part of the JSON payload
+const attachReactions = async (messages, viewerId) => {
+  const list = (Array.isArray(messages) ? messages : [messages]).filter(Boolean);
+  const summaries = await getReactionSummaries(list.map(message => message.id), viewerId);
+
+  for (const message of list) {
+    message.setDataValue('reactions', summaries.get(message.id));
+  }
+
+  return messages;
+};
+
+// Everyone who reacted to a message with one emoji, earliest first
+const getReactionUsers = async (messageId, emoji) => {
+  const reactions = await MessageReaction.findAll({
+    where: {
+      messageId: messageId,
+      emoji: emoji
+    },
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: REACTION_USER_ATTRIBUTES
+    }],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+
+  return reactions
+    .filter(reaction => reaction.user)
+    .map(reaction => ({ ...reaction.user.toJSON(), reactedAt: reaction.createdAt }));
+};
+
+module.exports = {
+  getReactionSummaries,
+  attachReactions,
+  getReactionUsers
+};
@@ -0,0 +1,130 @@
+const { ChannelMember, Channel, Message, Notification, sequelize } = require('../models');
+const { Op } = require('sequelize');
+
+// Unread and mention counts for each of the user's memberships in the given channels
+const getUnreadCounts = async (userId, channelIds) => {
+  const counts = new Map();
+
+  if (!channelIds.length) {
+    return counts;
+  }
+
+  const rows = await sequelize.query(`
+    SELECT
+      cm.channel_id AS "channelId",
+      cm.last_read_message_id AS "lastReadMessageId",
+      cm.muted_at IS NOT NULL AS "muted",
+      (
+        SELECT COUNT(*)
+        FROM messages m
+        WHERE m.channel_id = cm.channel_id
+          AND m.deleted_at IS NULL
+          AND m.parent_message_id IS NULL
+          AND m.sender_id IS DISTINCT FROM cm.user_id
+          AND m.created_at > COALESCE(cm.last_read_at, cm.joined_at)
+      )::int AS "unreadCount",
+      (
+        SELECT COUNT(*)
+        FROM notifications n
+        WHERE n.user_id = cm.user_id
+          AND n.channel_id = cm.channel_id
+          AND n.type = 'mention'
+          AND n.read_at IS NULL
+      )::int AS "mentionCount"
+    FROM channel_members cm
+    WHERE cm.user_id = :userId
+      AND cm.channel_id IN (:channelIds)
+      AND cm.deleted_at IS NULL
+  `, {
+    replacements: { userId, channelIds },
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  for (const row of rows) {
+    counts.set(row.channelId, {
+      lastReadMessageId: row.lastReadMessageId,
+      muted: row.muted,
+      unreadCount: row.unreadCount,
+      mentionCount: row.mentionCount
+    });
+  }
+
+  return counts;
+};
+
+// Move the user's read pointer in a channel and sync it to all their devices.
+// Defaults to the channel's latest message; returns null if the user or message is not in the channel.
+const markChannelRead = async (userId, channelId, messageId, io) => {
+  const channelMember = await ChannelMember.findOne({
+    where: {
+      userId: userId,
+      channelId: channelId
+    }
+  });
+
+  if (!channelMember) {
+    return null;
+  }
+
+  if (!messageId) {
+    const channel = await Channel.findByPk(channelId);
+    messageId = channel.lastMessageId;
+  }
+
+  let lastReadAt = new Date();
+  if (messageId) {
+    const message = await Message.findOne({
+      where: {
+        id: messageId,
+        channelId: channelId
+      }
+    });
+
+    if (!message) {
+      return null;
+    }
+
+    lastReadAt = message.createdAt;
+  }
+
+  await channelMember.update({
+    lastReadMessageId: messageId || null,
+    lastReadAt
+  });
+
+  // Mentions up to the read position count as seen
+  await Notification.update(
+    { readAt: new Date() },
+    {
+      where: {
+        userId: userId,
+        channelId: channelId,
+        type: 'mention',
+        readAt: { [Op.is]: null },
+        messageId: {
+          [Op.in]: sequelize.literal(
+            `(SELECT id FROM messages WHERE channel_id = ${sequelize.escape(channelId)} ` +
+            `AND created_at <= ${sequelize.escape(lastReadAt)})`
+          )
+        }
+      }
+    }
+  );
+
+  const counts = await getUnreadCounts(userId, [channelId]);
+  const readState = {
+    channelId,
+    lastReadMessageId: channelMember.lastReadMessageId,
+    lastReadAt: channelMember.lastReadAt,
+    ...counts.get(channelId)
+  };
+
+  io.to(`user-${userId}`).emit('channel-read', readState);
+
+  return readState;
+};
+
+module.exports = {
+  getUnreadCounts,
+  markChannelRead
+};
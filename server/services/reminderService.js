@@ -0,0 +1,132 @@
+const { SavedItem, Message, Channel, ChannelMember, Notification } = require('../models');
+const { Op } = require('sequelize');
+const { populateNotification } = require('./mentionService');
+
+const REMINDER_POLL_INTERVAL = parseInt(process.env.REMINDER_POLL_INTERVAL) || 30 * 1000;
+const REMINDER_BATCH_SIZE = 100;
+
+// Whether a user can still read a message: it exists and they belong to its channel
+const canAccessMessage = async (userId, message) => {
+  if (!message) {
+    return false;
+  }
+
+  const channelMember = await ChannelMember.findOne({
+    where: {
+      userId: userId,
+      channelId: message.channelId
+    }
+  });
+
+  return Boolean(channelMember);
+};
+
+// Reminders set with /remind carry their text and point back to the channel they were set in
+const deliverNoteReminder = async (savedItem, io) => {
+  const channelMember = savedItem.channelId && await ChannelMember.findOne({
+    where: {
+      userId: savedItem.userId,
+      channelId: savedItem.channelId
+    },
+    include: [{
+      model: Channel,
+      as: 'channel',
+      attributes: ['id', 'teamId']
+    }]
+  });
+
+  const notification = await Notification.create({
+    userId: savedItem.userId,
+    type: 'reminder',
+    savedItemId: savedItem.id,
+    content: savedItem.note,
+    channelId: channelMember ? channelMember.channel.id : null,
+    teamId: channelMember ? channelMember.channel.teamId : null
+  });
+
+  io.to(`user-${savedItem.userId}`).emit('notification', await populateNotification(notification.id));
+};
+
+const deliverReminder = async (savedItem, io) => {
+  // Claim the reminder first so it is only delivered once
+  const [claimed] = await SavedItem.update(
+    { remindedAt: new Date() },
+    { where: { id: savedItem.id, remindedAt: null } }
+  );
+
+  if (!claimed) {
+    return;
+  }
+
+  if (!savedItem.messageId) {
+    await deliverNoteReminder(savedItem, io);
+    return;
+  }
+
+  const message = await Message.findByPk(savedItem.messageId);
+  const accessible = await canAccessMessage(savedItem.userId, message);
+
+  // Still remind about messages that were deleted or became inaccessible, without their
+  // content; the saved item tells the client which reminder it was
+  const notification = await Notification.create({
+    userId: savedItem.userId,
+    type: 'reminder',
+    savedItemId: savedItem.id,
+    actorId: accessible ? message.senderId : null,
+    messageId: accessible ? message.id : null,
+    channelId: accessible ? message.channelId : null,
+    teamId: accessible ? message.teamId : null
+  });
+
+  io.to(`user-${savedItem.userId}`).emit('notification', await populateNotification(notification.id));
+};
+
+// Deliver every reminder whose time has come
+const deliverDueReminders = async (io) => {
+  const dueItems = await SavedItem.findAll({
+    where: {
+      remindAt: { [Op.lte]: new Date() },
+      remindedAt: null,
+      completedAt: null
+    },
+    order: [['remindAt', 'ASC']],
+    limit: REMINDER_BATCH_SIZE
+  });
+
+  for (const savedItem of dueItems) {
+    try {
+      await deliverReminder(savedItem, io);
+    } catch (error) {
+      console.error('Error delivering reminder:', error);
+    }
+  }
+};
+
+// Poll for due reminders; a run is skipped while the previous one is still going
+const startReminderScheduler = (io) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await deliverDueReminders(io);
+    } catch (error) {
+      console.error('Error checking reminders:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, REMINDER_POLL_INTERVAL);
+};
+
+module.exports = {
+  canAccessMessage,
+  deliverDueReminders,
+  startReminderScheduler
+};
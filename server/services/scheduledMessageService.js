@@ -0,0 +1,120 @@
+const { ScheduledMessage, Channel } = require('../models');
+const { Op } = require('sequelize');
+const { MessageServiceError, sendMessage } = require('./messageService');
+
+const SCHEDULED_MESSAGE_POLL_INTERVAL = parseInt(process.env.SCHEDULED_MESSAGE_POLL_INTERVAL) || 15 * 1000;
+const SCHEDULED_MESSAGE_BATCH_SIZE = 100;
+
+// The scheduled message as shown in the user's list
+const populateScheduledMessage = (scheduledMessageId) => {
+  return ScheduledMessage.findByPk(scheduledMessageId, {
+    include: [{
+      model: Channel,
+      as: 'channel',
+      attributes: ['id', 'name', 'type', 'teamId']
+    }]
+  });
+};
+
+// Send one scheduled message through the normal message path, which re-checks channel
+// membership, updates the channel's last message and broadcasts `new-message`
+const sendScheduledMessage = async (scheduledMessage, io) => {
+  // Claim the message first so it is only sent once, and never after it was cancelled
+  const [claimed] = await ScheduledMessage.update(
+    { status: 'sending' },
+    { where: { id: scheduledMessage.id, status: 'pending' } }
+  );
+
+  if (!claimed) {
+    return;
+  }
+
+  // Pick up an edit made after the message was loaded
+  await scheduledMessage.reload();
+
+  let message = null;
+  let failure = null;
+
+  try {
+    message = await sendMessage(scheduledMessage.userId, {
+      content: scheduledMessage.content,
+      channelId: scheduledMessage.channelId,
+      parentMessageId: scheduledMessage.parentMessageId
+    }, io);
+  } catch (error) {
+    // Expected when the user left the channel or it was archived since scheduling
+    if (!(error instanceof MessageServiceError)) {
+      console.error('Error sending scheduled message:', error);
+    }
+    failure = error.message;
+  }
+
+  await ScheduledMessage.update(
+    message
+      ? { status: 'sent', sentAt: new Date(), messageId: message.id }
+      : { status: 'failed', error: failure.slice(0, 255) },
+    { where: { id: scheduledMessage.id } }
+  );
+
+  io.to(`user-${scheduledMessage.userId}`).emit(
+    message ? 'scheduled-message-sent' : 'scheduled-message-failed',
+    await populateScheduledMessage(scheduledMessage.id)
+  );
+};
+
+// Send every scheduled message whose time has come
+const sendDueScheduledMessages = async (io) => {
+  const dueMessages = await ScheduledMessage.findAll({
+    where: {
+      status: 'pending',
+      sendAt: { [Op.lte]: new Date() }
+    },
+    order: [['sendAt', 'ASC']],
+    limit: SCHEDULED_MESSAGE_BATCH_SIZE
+  });
+
+  for (const scheduledMessage of dueMessages) {
+    try {
+      await sendScheduledMessage(scheduledMessage, io);
+    } catch (error) {
+      console.error('Error sending scheduled message:', error);
+    }
+  }
+};
+
+// Poll for due messages. Pending messages live in PostgreSQL, so the first run after a
+// restart sends anything that came due while the server was down. A message that was
+// being sent when the server stopped is queued again.
+const startScheduledMessageScheduler = (io) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await sendDueScheduledMessages(io);
+    } catch (error) {
+      console.error('Error checking scheduled messages:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  ScheduledMessage.update(
+    { status: 'pending' },
+    { where: { status: 'sending' } }
+  )
+    .catch(error => console.error('Error requeueing scheduled messages:', error))
+    .then(run);
+
+  return setInterval(run, SCHEDULED_MESSAGE_POLL_INTERVAL);
+};
+
+module.exports = {
+  populateScheduledMessage,
+  sendDueScheduledMessages,
+  startScheduledMessageScheduler
+};
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Session, User } = require('../models');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Avoid writing lastActiveAt on every single request
+const ACTIVITY_UPDATE_INTERVAL = 60 * 1000;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Access tokens are short-lived JWTs bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET || 'fallback-secret', {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+// Describe the device behind a request for the session list
+const getDeviceInfo = (req) => {
+  const userAgent = req.get('User-Agent') || null;
+
+  return {
+    deviceName: (req.body.deviceName || req.get('X-Device-Name') || '').slice(0, 255) || null,
+    userAgent: userAgent && userAgent.slice(0, 512),
+    ipAddress: req.ip || null
+  };
+};
+
+// Start a new session for a user and issue its first token pair
+const createSession = async (user, deviceInfo = {}) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    userId: user.id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshTokenExpiry(),
+    deviceName: deviceInfo.deviceName,
+    userAgent: deviceInfo.userAgent,
+    ipAddress: deviceInfo.ipAddress,
+    lastActiveAt: new Date()
+  });
+
+  return {
+    session,
+    token: generateAccessToken(user.id, session.id),
+    refreshToken
+  };
+};
+
+// Disconnect every socket opened with the session's access tokens
+const disconnectSession = (sessionId, io) => {
+  io.in(`session-${sessionId}`).disconnectSockets(true);
+};
+
+const revokeSession = async (session, io) => {
+  if (!session.revokedAt) {
+    await session.update({ revokedAt: new Date() });
+  }
+  disconnectSession(session.id, io);
+};
+
+// Record activity on a session, at most once per interval
+const touchSession = async (session, ipAddress) => {
+  if (session.lastActiveAt && Date.now() - session.lastActiveAt.getTime() < ACTIVITY_UPDATE_INTERVAL) {
+    return;
+  }
+
+  await session.update({
+    lastActiveAt: new Date(),
+    ipAddress: ipAddress || session.ipAddress
+  });
+};
+
+// Exchange a refresh token for a new token pair, rotating the refresh token.
+// Returns null if the token is unknown, expired or revoked.
+const refreshSession = async (refreshToken, io, ipAddress) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ where: { refreshTokenHash: tokenHash } });
+
+  if (!session) {
+    // A rotated-out token being replayed means it leaked; end that session
+    const compromisedSession = await Session.findOne({
+      where: { previousRefreshTokenHash: tokenHash }
+    });
+
+    if (compromisedSession) {
+      await revokeSession(compromisedSession, io);
+    }
+
+    return null;
+  }
+
+  if (!session.isActive()) {
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken();
+
+  // Rotate only if the token is still current, so when two refreshes race with the
+  // same token only one of them wins
+  const [rotated] = await Session.update({
+    refreshTokenHash: hashToken(newRefreshToken),
+    previousRefreshTokenHash: tokenHash,
+    expiresAt: refreshTokenExpiry(),
+    lastActiveAt: new Date(),
+    ipAddress: ipAddress || session.ipAddress
+  }, {
+    where: {
+      id: session.id,
+      refreshTokenHash: tokenHash
+    }
+  });
+
+  // Someone else used the token first, which is the same as replaying it
+  if (!rotated) {
+    await revokeSession(session, io);
+    return null;
+  }
+
+  await session.reload();
+
+  return {
+    session,
+    token: generateAccessToken(session.userId, session.id),
+    refreshToken: newRefreshToken
+  };
+};
+
+// Resolve an access token to its user and session, or null if it is invalid or revoked
+const verifyAccessToken = async (token, ipAddress) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+  } catch (error) {
+    return null;
+  }
+
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const session = await Session.findByPk(decoded.sid);
+  if (!session || session.userId !== decoded.id || !session.isActive()) {
+    return null;
+  }
+
+  const user = await User.findByPk(decoded.id);
+  if (!user) {
+    return null;
+  }
+
+  await touchSession(session, ipAddress);
+
+  return { user, session };
+};
+
+module.exports = {
+  getDeviceInfo,
+  createSession,
+  refreshSession,
+  revokeSession,
+  disconnectSession,
+  verifyAccessToken
+};
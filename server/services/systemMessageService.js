@@ -0,0 +1,19 @@
+const { Message } = require('../models');
+const { publishMessage } = require('./messageService');
+
+// Record a channel event as a system message and broadcast it like any other message
+const postSystemMessage = async (channel, userId, content, io) => {
+  const message = await Message.create({
+    content,
+    senderId: userId,
+    channelId: channel.id,
+    teamId: channel.teamId,
+    messageType: 'system'
+  });
+
+  return publishMessage(message, channel, io);
+};
+
+module.exports = {
+  postSystemMessage
+};
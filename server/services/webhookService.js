@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { OutgoingWebhook, WebhookDelivery } = require('../models');
+const { Op } = require('sequelize');
+const { checkOutboundUrl } = require('./outboundUrlService');
+
+const WEBHOOK_EVENTS = {
+  MESSAGE_CREATED: 'message.created',
+  MEMBER_JOINED: 'member.joined',
+  CHANNEL_CREATED: 'channel.created',
+  REACTION_ADDED: 'reaction.added',
+  PING: 'ping'
+};
+
+const SUBSCRIBABLE_EVENTS = Object.values(WEBHOOK_EVENTS).filter(event => event !== WEBHOOK_EVENTS.PING);
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 30 * 1000;
+const RETRY_POLL_INTERVAL = parseInt(process.env.WEBHOOK_RETRY_POLL_INTERVAL) || 15 * 1000;
+const REQUEST_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT) || 10 * 1000;
+// How long an attempt holds its delivery before the retry poller may send it again; always
+// outlasts the request so a delivery is never sent twice at once
+const ATTEMPT_LEASE = REQUEST_TIMEOUT + RETRY_BASE_DELAY;
+const MAX_LOGGED_RESPONSE_LENGTH = 2000;
+
+// Signature over "<timestamp>.<body>" so receivers can also reject replayed requests
+const signPayload = (secret, timestamp, body) => {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Exponential backoff: base, 2x base, 4x base, ...
+const retryDelay = (attempts) => {
+  return RETRY_BASE_DELAY * Math.pow(2, attempts - 1);
+};
+
+// Make one attempt at a delivery and record the outcome
+const attemptDelivery = async (delivery, webhook) => {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const body = JSON.stringify(delivery.payload);
+  const attempts = delivery.attempts + 1;
+
+  let responseStatus = null;
+  let responseBody = null;
+
+  // Receivers on this machine or a private network are refused, since their answers are logged
+  let errorMessage = await checkOutboundUrl(webhook.url);
+
+  if (!errorMessage) {
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'HuddleUp-Webhooks/1.0',
+          'X-HuddleUp-Event': delivery.event,
+          'X-HuddleUp-Delivery': delivery.id,
+          'X-HuddleUp-Timestamp': timestamp,
+          'X-HuddleUp-Signature': signPayload(webhook.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+      });
+
+      responseStatus = response.status;
+      responseBody = (await response.text()).slice(0, MAX_LOGGED_RESPONSE_LENGTH);
+    } catch (error) {
+      errorMessage = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+    }
+  }
+
+  const succeeded = responseStatus !== null && responseStatus >= 200 && responseStatus < 300;
+
+  if (succeeded) {
+    await delivery.update({
+      status: 'succeeded',
+      attempts,
+      responseStatus,
+      responseBody,
+      error: null,
+      nextAttemptAt: null,
+      deliveredAt: new Date()
+    });
+  } else {
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    await delivery.update({
+      status: exhausted ? 'failed' : 'pending',
+      attempts,
+      responseStatus,
+      responseBody,
+      error: errorMessage || `Receiver responded with ${responseStatus}`,
+      nextAttemptAt: exhausted ? null : new Date(Date.now() + retryDelay(attempts))
+    });
+  }
+
+  return delivery;
+};
+
+const attemptDeliverySafely = (delivery, webhook) => {
+  return attemptDelivery(delivery, webhook).catch(error => {
+    console.error('Error delivering webhook:', error);
+  });
+};
+
+const buildPayload = (deliveryId, event, teamId, data) => ({
+  id: deliveryId,
+  event,
+  teamId,
+  createdAt: new Date().toISOString(),
+  data
+});
+
+// Record a delivery of an event to one webhook
+const createDelivery = async (webhook, event, data) => {
+  // If the first attempt never completes (say the server stops), the retry poller picks it up
+  const delivery = WebhookDelivery.build({
+    webhookId: webhook.id,
+    event,
+    nextAttemptAt: new Date(Date.now() + ATTEMPT_LEASE)
+  });
+  delivery.payload = buildPayload(delivery.id, event, webhook.teamId, data);
+  await delivery.save();
+
+  return delivery;
+};
+
+// Send an event to every active webhook of the team subscribed to it. Deliveries run in the
+// background so callers never wait on slow receivers.
+const dispatchEvent = async (teamId, event, data) => {
+  try {
+    const webhooks = await OutgoingWebhook.findAll({
+      where: {
+        teamId: teamId,
+        active: true,
+        events: { [Op.contains]: [event] }
+      }
+    });
+
+    for (const webhook of webhooks) {
+      // Serialize through JSON so model instances become plain payloads
+      const delivery = await createDelivery(webhook, event, JSON.parse(JSON.stringify(data)));
+      attemptDeliverySafely(delivery, webhook);
+    }
+  } catch (error) {
+    console.error(`Error dispatching ${event} webhooks:`, error);
+  }
+};
+
+// Send a ping to one webhook and wait for the result, for checking a receiver is set up
+const sendTestEvent = async (webhook) => {
+  const delivery = await createDelivery(webhook, WEBHOOK_EVENTS.PING, { webhookId: webhook.id });
+  return attemptDelivery(delivery, webhook);
+};
+
+// Retry deliveries whose backoff has elapsed
+const retryDueDeliveries = async () => {
+  const dueDeliveries = await WebhookDelivery.findAll({
+    where: {
+      status: 'pending',
+      nextAttemptAt: { [Op.lte]: new Date() }
+    },
+    include: [{
+      model: OutgoingWebhook,
+      as: 'webhook'
+    }],
+    order: [['nextAttemptAt', 'ASC']],
+    limit: 100
+  });
+
+  for (const delivery of dueDeliveries) {
+    // Webhooks that were deleted or disabled stop retrying
+    if (!delivery.webhook || !delivery.webhook.active) {
+      await delivery.update({ status: 'failed', nextAttemptAt: null, error: 'Webhook was disabled or deleted' });
+      continue;
+    }
+
+    // Claim the attempt so an overlapping poll on another server can't send it as well
+    const [claimed] = await WebhookDelivery.update(
+      { nextAttemptAt: new Date(Date.now() + ATTEMPT_LEASE) },
+      { where: { id: delivery.id, status: 'pending', nextAttemptAt: delivery.nextAttemptAt } }
+    );
+    if (!claimed) {
+      continue;
+    }
+
+    await attemptDeliverySafely(delivery, delivery.webhook);
+  }
+};
+
+// Poll for retries; deliveries are stored, so retries resume after a restart
+const startWebhookRetryScheduler = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await retryDueDeliveries();
+    } catch (error) {
+      console.error('Error retrying webhooks:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, RETRY_POLL_INTERVAL);
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  SUBSCRIBABLE_EVENTS,
+  signPayload,
+  dispatchEvent,
+  sendTestEvent,
+  startWebhookRetryScheduler
+};
@@ -0,0 +1,17 @@
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+require('dotenv').config();
+
+// Storage drivers must implement save, saveStream, exists, createReadStream and remove
+const drivers = {
+  local: () => createLocalStorage({
+    root: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads')
+  }),
+};
+
+const driverName = process.env.STORAGE_DRIVER || 'local';
+if (!drivers[driverName]) {
+  throw new Error(`Unknown storage driver: ${driverName}`);
+}
+
+module.exports = drivers[driverName]();
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Stores files on the local disk under a root directory
+const createLocalStorage = ({ root }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  const save = async (key, buffer) => {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return key;
+  };
+
+  // Write a stream to disk without holding it in memory; a partial file is removed on failure
+  const saveStream = async (key, stream) => {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await pipeline(stream, fs.createWriteStream(filePath));
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+    return key;
+  };
+
+  const exists = async (key) => {
+    try {
+      await fs.promises.access(resolveKey(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const createReadStream = (key) => {
+    return fs.createReadStream(resolveKey(key));
+  };
+
+  const remove = async (key) => {
+    await fs.promises.rm(resolveKey(key), { force: true });
+  };
+
+  return {
+    save,
+    saveStream,
+    exists,
+    createReadStream,
+    remove
+  };
+};
+
+module.exports = createLocalStorage;
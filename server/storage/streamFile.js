@@ -0,0 +1,30 @@
+const storage = require('./index');
+
+// Send a stored file as the response, as a download or for display in the client
+const streamFile = async (res, key, { contentType, fileName, inline }) => {
+  if (!(await storage.exists(key))) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader(
+    'Content-Disposition',
+    `${inline ? 'inline' : 'attachment'}; filename="${encodeURIComponent(fileName)}"`
+  );
+
+  const stream = storage.createReadStream(key);
+  stream.on('error', () => {
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to read file' });
+    } else {
+      res.end();
+    }
+  });
+  stream.pipe(res);
+};
+
+module.exports = {
+  streamFile
+};
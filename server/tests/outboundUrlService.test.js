@@ -0,0 +1,49 @@
+const { checkOutboundUrl } = require('../services/outboundUrlService');
+
+describe('checkOutboundUrl', () => {
+  it.each([
+    'http://127.0.0.1:3000/hook',
+    'http://10.1.2.3/hook',
+    'http://172.16.0.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[fe80::1]/hook'
+  ])('refuses %s', async (url) => {
+    expect(await checkOutboundUrl(url)).toBe('URL must not point to a local or private network address');
+  });
+
+  it('refuses hostnames that resolve to a local address', async () => {
+    expect(await checkOutboundUrl('http://localhost:3000/hook')).toBe(
+      'URL must not point to a local or private network address'
+    );
+  });
+
+  it('refuses URLs that are not http or https', async () => {
+    expect(await checkOutboundUrl('ftp://93.184.216.34/hook')).toBe('URL must be an http or https URL');
+    expect(await checkOutboundUrl('not a url')).toBe('URL must be an http or https URL');
+  });
+
+  it('accepts public addresses', async () => {
+    expect(await checkOutboundUrl('https://93.184.216.34/hook')).toBeNull();
+    expect(await checkOutboundUrl('http://[2606:4700::1111]/hook')).toBeNull();
+  });
+
+  it('accepts local hosts listed in OUTBOUND_ALLOWED_HOSTS', async () => {
+    let allowed;
+    jest.isolateModules(() => {
+      process.env.OUTBOUND_ALLOWED_HOSTS = 'localhost, 10.0.0.5';
+      allowed = require('../services/outboundUrlService');
+    });
+    delete process.env.OUTBOUND_ALLOWED_HOSTS;
+
+    expect(await allowed.checkOutboundUrl('http://localhost:3000/hook')).toBeNull();
+    expect(await allowed.checkOutboundUrl('http://10.0.0.5/hook')).toBeNull();
+    expect(await allowed.checkOutboundUrl('http://10.0.0.6/hook')).toBe(
+      'URL must not point to a local or private network address'
+    );
+  });
+});
@@ -0,0 +1,135 @@
+const http = require('http');
+
+// The receiver runs on this machine, which webhooks may only reach when it is allowed
+process.env.OUTBOUND_ALLOWED_HOSTS = '127.0.0.1';
+
+const { OutgoingWebhook, WebhookDelivery } = require('../models');
+const { signPayload, sendTestEvent } = require('../services/webhookService');
+
+const TEAM_ID = '5f0c6a9e-3b7d-4c2a-9a51-0d2f4e8b7c13';
+const USER_ID = '8d3e1b62-7a4f-4e0b-b6c9-2f5a1d7e9c48';
+
+describe('webhook deliveries', () => {
+  let server;
+  let requests;
+  let respond;
+
+  beforeAll((done) => {
+    // A local receiver that records every request
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ path: req.url, headers: req.headers, body });
+        respond(req, res);
+      });
+    });
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll((done) => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    respond = (req, res) => res.end('ok');
+
+    // Deliveries stay in memory instead of PostgreSQL
+    jest.spyOn(WebhookDelivery.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(WebhookDelivery.prototype, 'update').mockImplementation(function(values) {
+      this.set(values);
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const receiverUrl = (path = '/hook', host = '127.0.0.1') => {
+    return `http://${host}:${server.address().port}${path}`;
+  };
+
+  const buildWebhook = (url) => {
+    return OutgoingWebhook.build({
+      teamId: TEAM_ID,
+      createdById: USER_ID,
+      url,
+      events: ['message.created']
+    });
+  };
+
+  it('sends a signed payload and records the response', async () => {
+    const webhook = buildWebhook(receiverUrl());
+
+    const delivery = await sendTestEvent(webhook);
+
+    expect(requests).toHaveLength(1);
+    const [request] = requests;
+    expect(request.path).toBe('/hook');
+    expect(request.headers['content-type']).toBe('application/json');
+    expect(request.headers['x-huddleup-event']).toBe('ping');
+    expect(request.headers['x-huddleup-delivery']).toBe(delivery.id);
+    expect(request.headers['x-huddleup-signature']).toBe(
+      signPayload(webhook.secret, request.headers['x-huddleup-timestamp'], request.body)
+    );
+    expect(JSON.parse(request.body)).toMatchObject({
+      id: delivery.id,
+      event: 'ping',
+      teamId: TEAM_ID,
+      data: { webhookId: webhook.id }
+    });
+
+    expect(delivery.status).toBe('succeeded');
+    expect(delivery.attempts).toBe(1);
+    expect(delivery.responseStatus).toBe(200);
+    expect(delivery.responseBody).toBe('ok');
+    expect(delivery.deliveredAt).toBeInstanceOf(Date);
+  });
+
+  it('schedules a retry when the receiver fails', async () => {
+    respond = (req, res) => {
+      res.statusCode = 500;
+      res.end('broken');
+    };
+
+    const before = Date.now();
+    const delivery = await sendTestEvent(buildWebhook(receiverUrl()));
+
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts).toBe(1);
+    expect(delivery.responseStatus).toBe(500);
+    expect(delivery.error).toBe('Receiver responded with 500');
+    expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(before);
+  });
+
+  it('does not follow redirects', async () => {
+    respond = (req, res) => {
+      res.statusCode = 302;
+      res.setHeader('Location', receiverUrl('/elsewhere'));
+      res.end();
+    };
+
+    const delivery = await sendTestEvent(buildWebhook(receiverUrl()));
+
+    expect(requests.map(request => request.path)).toEqual(['/hook']);
+    expect(delivery.status).toBe('pending');
+    expect(delivery.responseStatus).toBe(302);
+  });
+
+  it('refuses local receivers that are not allowed', async () => {
+    const delivery = await sendTestEvent(buildWebhook(receiverUrl('/hook', 'localhost')));
+
+    expect(requests).toHaveLength(0);
+    expect(delivery.status).toBe('pending');
+    expect(delivery.responseStatus).toBeNull();
+    expect(delivery.responseBody).toBeNull();
+    expect(delivery.error).toBe('URL must not point to a local or private network address');
+  });
+});